@@ -22,6 +22,11 @@ const GMAIL_USER = process.env.GMAIL_USER;
 const CRM_API_URL = process.env.CRM_API_URL;
 const SMS_SERVICE_SECRET = process.env.SMS_SERVICE_SECRET;
 
+const PAN_SECRET_KEY = process.env.PAN_SECRET_KEY;
+
+// transactions above this amount are confirmed by sms code instead of pin
+const TRANSACTION_OTP_THRESHOLD = Number(process.env.TRANSACTION_OTP_THRESHOLD) || 1000000;
+
 module.exports = {
   PORT,
   POSTGRES_URL,
@@ -41,4 +46,6 @@ module.exports = {
   GMAIL_USER,
   CRM_API_URL,
   SMS_SERVICE_SECRET,
+  PAN_SECRET_KEY,
+  TRANSACTION_OTP_THRESHOLD,
 };
@@ -7,11 +7,13 @@ const fetchDB = require('../postgres');
 const ValidationError = require('../errors/ValidationError');
 const CustomError = require('../errors/CustomError');
 const acceptsLanguages = require('../utils/acceptsLanguages');
+const fileStorage = require('../utils/fileStorageS3');
+const panCipher = require('../utils/panCipher');
 
 // @Private
 // @Customer
 function createCard(req, res, next) {
-  let customerId, inputs;
+  let customerId, inputs, bin;
 
   async.waterfall(
     [
@@ -42,14 +44,25 @@ function createCard(req, res, next) {
         // check card expiry date is valid and not expired
         const expiryDate = moment(`${validData.expiry_month}/${validData.expiry_year}`, 'MM/YY');
         if (!expiryDate.isValid()) return cb(new CustomError('INVALID_EXPIRY_DATE'));
-        if (expiryDate.isBefore(moment())) return cb(new CustomError('CARD_EXPIRED'));
+        if (expiryDate.endOf('month').isBefore(moment()))
+          return cb(new CustomError('CARD_EXPIRED'));
 
         inputs = validData;
         cb(null);
       },
+      // detect network and bank of the card
+      (cb) => {
+        fetchDB(cardsQuery.getBin, [inputs.pan.slice(0, 8)], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('CARD_NETWORK_NOT_SUPPORTED'));
+
+          bin = result.rows[0];
+          cb(null);
+        });
+      },
       // check card is not already added
       (cb) => {
-        fetchDB(cardsQuery.checkIsUnique, [inputs.pan], (err, result) => {
+        fetchDB(cardsQuery.checkIsUnique, [panCipher.hash(inputs.pan)], (err, result) => {
           if (err) return cb(err);
           const existingCard = result.rows[0];
 
@@ -70,9 +83,13 @@ function createCard(req, res, next) {
             customerId,
             inputs.name,
             inputs.owner_name,
-            inputs.pan,
+            panCipher.encrypt(inputs.pan),
+            panCipher.hash(inputs.pan),
+            panCipher.mask(inputs.pan),
             inputs.expiry_month,
             inputs.expiry_year,
+            bin.network,
+            bin.bank,
           ],
           (err, res) => {
             if (err) return cb(err);
@@ -141,21 +158,26 @@ function updateCard(req, res, next) {
       },
       // validate data
       (cb) => {
-        const { id, name } = req.body;
+        const { id, name, isPrimary } = req.body;
 
         const validator = new LIVR.Validator({
           id: ['trim', 'string', 'required'],
-          name: ['trim', 'string', 'required', { min_length: 2 }, { max_length: 64 }],
+          name: ['trim', 'string', { min_length: 2 }, { max_length: 64 }],
+          isPrimary: ['boolean', { default: false }],
         });
 
-        const validData = validator.validate({ id, name });
+        const validData = validator.validate({ id, name, isPrimary });
         if (!validData) return cb(new ValidationError(validator.getErrors()));
+        if (!validData.name && !validData.isPrimary)
+          return cb(new ValidationError({ name: 'REQUIRED' }));
 
         cb(null, validData);
       },
       // update card
       (inputs, cb) => {
-        fetchDB(cardsQuery.update, [inputs.name, inputs.id, customerId], (err, result) => {
+        const { name, id, isPrimary } = inputs;
+
+        fetchDB(cardsQuery.update, [name || null, id, customerId, isPrimary], (err, result) => {
           if (err) return cb(err);
           if (result.rowCount === 0) return cb(new CustomError('CARD_NOT_FOUND'));
 
@@ -229,6 +251,313 @@ function deleteCard(req, res, next) {
   );
 }
 
+// @Private
+// @Customer
+function freezeCard(req, res, next) {
+  let customerId;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { id, freezeCredits } = req.body;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+          freezeCredits: ['boolean', { default: false }],
+        });
+
+        const validData = validator.validate({ id, freezeCredits });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, validData);
+      },
+      // freeze card
+      (inputs, cb) => {
+        fetchDB(cardsQuery.freeze, [inputs.freezeCredits, inputs.id, customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('CARD_NOT_FOUND'));
+
+          const message = result.rows[0].message[acceptsLanguages(req)];
+          cb(null, message);
+        });
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function unfreezeCard(req, res, next) {
+  let customerId;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { id } = req.body;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ id });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, validData);
+      },
+      // unfreeze card
+      (inputs, cb) => {
+        fetchDB(cardsQuery.unfreeze, [inputs.id, customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('CARD_NOT_FOUND'));
+
+          const message = result.rows[0].message[acceptsLanguages(req)];
+          cb(null, message);
+        });
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function getCardLimits(req, res, next) {
+  let customerId;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { id } = req.params;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ id });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, validData);
+      },
+      // get limits with today usage
+      (inputs, cb) => {
+        const lang = acceptsLanguages(req);
+
+        fetchDB(cardsQuery.getLimits, [inputs.id, customerId, lang], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('CARD_NOT_FOUND'));
+
+          const limits = result.rows[0];
+          const remaining = (limit, spent) => (limit === null ? null : Math.max(limit - spent, 0));
+
+          limits.daily_remaining = remaining(limits.daily_limit, limits.daily_spent);
+          limits.categories.forEach((category) => {
+            category.daily_remaining = remaining(category.daily_limit, category.daily_spent);
+          });
+
+          // spending of all cards of customer
+          const { customer } = limits;
+          customer.daily_remaining = remaining(customer.daily_limit, customer.daily_spent);
+          customer.monthly_remaining = remaining(customer.monthly_limit, customer.monthly_spent);
+
+          cb(null, limits);
+        });
+      },
+    ],
+    (err, limits) => {
+      if (err) return next(err);
+
+      res.status(200).json(limits);
+    }
+  );
+}
+
+// @Private
+// @Customer
+function updateCardLimits(req, res, next) {
+  let customerId;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data, missing limits are reset to defaults and higher ones are lowered to them
+      (cb) => {
+        const { id, dailyLimit, singleLimit, categories } = req.body;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+          dailyLimit: ['positive_integer'],
+          singleLimit: ['positive_integer'],
+          categories: {
+            list_of_objects: {
+              categoryId: ['required', 'positive_integer'],
+              dailyLimit: ['required', 'positive_integer'],
+            },
+          },
+        });
+
+        const validData = validator.validate({ id, dailyLimit, singleLimit, categories });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, validData);
+      },
+      // save limits
+      (inputs, cb) => {
+        fetchDB(
+          cardsQuery.setLimits,
+          [
+            customerId,
+            inputs.id,
+            inputs.dailyLimit || null,
+            inputs.singleLimit || null,
+            JSON.stringify(inputs.categories || []),
+          ],
+          (err, result) => {
+            if (err) return cb(err);
+
+            const { error_code, error_message, success_message } = result.rows[0];
+
+            if (error_code) return cb(new CustomError(error_code, error_message));
+
+            const message = success_message[acceptsLanguages(req)];
+            cb(null, message);
+          }
+        );
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function updateCardExpiry(req, res, next) {
+  let customerId;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { id, pan, expiry_month, expiry_year } = req.body;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+          pan: ['required', 'valid_pan'],
+          expiry_month: ['positive_integer', 'required', { min_length: 1 }, { max_length: 2 }],
+          expiry_year: ['positive_integer', 'required', { min_length: 1 }, { max_length: 2 }],
+        });
+
+        const validData = validator.validate({ id, pan, expiry_month, expiry_year });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        // check new expiry date is valid and not expired
+        const expiryDate = moment(`${validData.expiry_month}/${validData.expiry_year}`, 'MM/YY');
+        if (!expiryDate.isValid()) return cb(new CustomError('INVALID_EXPIRY_DATE'));
+        if (expiryDate.endOf('month').isBefore(moment()))
+          return cb(new CustomError('CARD_EXPIRED'));
+
+        cb(null, validData);
+      },
+      // update expiry of the card with the same pan
+      (inputs, cb) => {
+        fetchDB(
+          cardsQuery.updateExpiry,
+          [
+            inputs.expiry_month,
+            inputs.expiry_year,
+            inputs.id,
+            customerId,
+            panCipher.hash(inputs.pan),
+          ],
+          (err, result) => {
+            if (err) return cb(err);
+            if (result.rowCount === 0) return cb(new CustomError('CARD_NOT_FOUND'));
+
+            const message = result.rows[0].message[acceptsLanguages(req)];
+            cb(null, message);
+          }
+        );
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
 // @Private
 // @Customer
 function getOneById(req, res, next) {
@@ -294,7 +623,7 @@ function getOnwerByPan(req, res, next) {
       },
       // get card
       (inputs, cb) => {
-        fetchDB(cardsQuery.getOwnerByPan, [inputs.pan], (err, result) => {
+        fetchDB(cardsQuery.getOwnerByPan, [panCipher.hash(inputs.pan)], (err, result) => {
           if (err) return cb(err);
           if (result.rowCount === 0) return cb(new CustomError('CARD_NOT_FOUND'));
 
@@ -310,11 +639,62 @@ function getOnwerByPan(req, res, next) {
   );
 }
 
+// @Private
+// @Customer
+function getOwnerByPhone(req, res, next) {
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err) => {
+          if (err) return cb(err);
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { phone } = req.body;
+        const validator = new LIVR.Validator({
+          phone: ['trim', 'required', 'is_phone_number'],
+        });
+
+        const validData = validator.validate({ phone });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, validData);
+      },
+      // get customer with default card
+      (inputs, cb) => {
+        fetchDB(cardsQuery.getOwnerByPhone, [inputs.phone], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          const { name, image_url, pan } = result.rows[0];
+          if (!pan) return cb(new CustomError('RECIPIENT_HAS_NO_CARD'));
+
+          cb(null, { name, image_url: fileStorage.getFileUrl(image_url), pan });
+        });
+      },
+    ],
+    (err, owner) => {
+      if (err) return next(err);
+
+      res.status(200).json({ owner });
+    }
+  );
+}
+
 module.exports = {
   createCard,
   getCustomerCards,
   updateCard,
   deleteCard,
+  freezeCard,
+  unfreezeCard,
+  getCardLimits,
+  updateCardLimits,
+  updateCardExpiry,
   getOneById,
   getOnwerByPan,
+  getOwnerByPhone,
 };
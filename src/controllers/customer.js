@@ -1,5 +1,4 @@
 const async = require('async');
-const v4 = require('uuid').v4;
 const moment = require('moment');
 const bcrypt = require('bcrypt');
 const fetchDB = require('../postgres');
@@ -14,6 +13,9 @@ const fileStorageS3 = require('../utils/fileStorageS3');
 const acceptsLanguages = require('../utils/acceptsLanguages');
 const Limiter = require('../utils/limiter');
 const smsService = require('../utils/smsService');
+const tokens = require('../utils/tokens');
+const deviceInfo = require('../utils/deviceInfo');
+const { deleteDataExport } = require('./export');
 
 // @Private
 // @Customer
@@ -33,7 +35,9 @@ function getCustomerProfile(req, res, next) {
           if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
 
           const customer = result.rows[0];
+          customer.has_pin = !!customer.hashed_pin;
           delete customer.hashed_password;
+          delete customer.hashed_pin;
           customer.image_url = fileStorageS3.getFileUrl(customer.image_url);
 
           cb(null, customer);
@@ -140,7 +144,7 @@ function sendCodeToPhone(req, res, next) {
 // @Public
 const registerCustomer = (req, res, next) =>
   new Promise((resolve) => {
-    let inputs, newCustomer, token;
+    let inputs, newCustomer, auth;
 
     async.waterfall(
       [
@@ -215,25 +219,19 @@ const registerCustomer = (req, res, next) =>
             cb(null);
           });
         },
-        // save new token
+        // start new session
         (cb) => {
-          token = v4();
-          redis.hSet('customers', newCustomer.id, token, (err) => {
-            if (err) return cb(err);
-            cb(null);
-          });
-        },
-        (cb) => {
-          redis.hSet(
-            'tokens',
-            token,
-            JSON.stringify({
+          tokens.createSession(
+            {
               id: newCustomer.id,
               role: 'customer',
-              exp: moment().add(1, 'hour').valueOf(),
-            }),
-            (err) => {
+              deviceId: inputs.deviceId,
+              device: deviceInfo(req.useragent),
+            },
+            (err, result) => {
               if (err) return cb(err);
+
+              auth = result;
               cb(null);
             }
           );
@@ -242,7 +240,7 @@ const registerCustomer = (req, res, next) =>
         (cb) => {
           if (!inputs.trust) return cb(null);
 
-          const info = getDeviceInfo(req);
+          const info = deviceInfo(req.useragent);
           return fetchDB(devicesQuery.create, [newCustomer.id, inputs.deviceId, info], (err) => {
             if (err) return cb(err);
 
@@ -259,7 +257,7 @@ const registerCustomer = (req, res, next) =>
           // return customer
           res.status(201).json({
             success: true,
-            token,
+            ...auth,
           });
         }
         resolve();
@@ -362,7 +360,7 @@ function getCustomerLoginType(req, res, next) {
 // @Public
 const loginCustomer = (req, res, next) =>
   new Promise((resolve) => {
-    let inputs, customer, token, limiter, isAlreadyTrusted, newDevice;
+    let inputs, customer, auth, limiter, isAlreadyTrusted, newDevice;
 
     async.waterfall(
       [
@@ -501,7 +499,7 @@ const loginCustomer = (req, res, next) =>
           if (isAlreadyTrusted) return cb(null);
 
           if (newDevice && inputs.trust) {
-            const info = getDeviceInfo(req);
+            const info = deviceInfo(req.useragent);
             fetchDB(devicesQuery.create, [customer.id, inputs.deviceId, info], (err) => {
               if (err) return cb(err);
               cb(null);
@@ -510,33 +508,19 @@ const loginCustomer = (req, res, next) =>
             cb(null);
           }
         },
-        // delete old token of this device
-        (cb) => {
-          redis.hGet('customers', inputs.deviceId, (err, oldToken) => {
-            if (err) return cb(err);
-            if (oldToken) redis.hDel('tokens', oldToken);
-            cb(null);
-          });
-        },
-        // save and return new token
-        (cb) => {
-          token = v4();
-          redis.hSet('customers', inputs.deviceId, token, (err) => {
-            if (err) return cb(err);
-            cb(null);
-          });
-        },
+        // start new session, ending the old one of this device
         (cb) => {
-          redis.hSet(
-            'tokens',
-            token,
-            JSON.stringify({
+          tokens.createSession(
+            {
               id: customer.id,
               role: 'customer',
-              exp: moment().add(1, 'hour').valueOf(),
-            }),
-            (err) => {
+              deviceId: inputs.deviceId,
+              device: deviceInfo(req.useragent),
+            },
+            (err, result) => {
               if (err) return cb(err);
+
+              auth = result;
               cb(null);
             }
           );
@@ -544,7 +528,7 @@ const loginCustomer = (req, res, next) =>
       ],
       (err) => {
         if (err) next(err);
-        else res.status(200).json({ token });
+        else res.status(200).json(auth);
         resolve();
       }
     );
@@ -807,7 +791,7 @@ function removeServiceFromSaved(req, res, next) {
 // @Private
 // @Customer
 function allowLoginByQR(req, res, next) {
-  let inputs, token, customerId, qrLoginObject;
+  let inputs, auth, customerId, qrLoginObject;
 
   async.waterfall(
     [
@@ -855,26 +839,19 @@ function allowLoginByQR(req, res, next) {
       },
       // allow login
       (cb) => {
-        token = v4();
         redis.hDel('qr_login', inputs.key);
         redis.hDel('qr_login', inputs.allowDeviceId);
-        redis.hSet('customers', inputs.allowDeviceId, token, (err) => {
-          if (err) return cb(err);
-
-          cb(null);
-        });
-      },
-      (cb) => {
-        redis.hSet(
-          'tokens',
-          token,
-          JSON.stringify({
+        tokens.createSession(
+          {
             id: customerId,
             role: 'customer',
-            exp: moment().add(1, 'hour').valueOf(),
-          }),
-          (err) => {
+            deviceId: inputs.allowDeviceId,
+            device: qrLoginObject.device,
+          },
+          (err, result) => {
             if (err) return cb(err);
+
+            auth = result;
             cb(null);
           }
         );
@@ -895,19 +872,770 @@ function allowLoginByQR(req, res, next) {
       }
 
       res.status(message.http_code).json({ success: true, message: message.message });
-      io.to(qrLoginObject.socketId).emit('qr_login_allow', { token });
+      io.to(qrLoginObject.socketId).emit('qr_login_allow', auth);
+    }
+  );
+}
+
+// @Public
+const refreshCustomerToken = (req, res, next) =>
+  new Promise((resolve) => {
+    async.waterfall(
+      [
+        // validate data
+        (cb) => {
+          const { refreshToken } = req.body;
+          const deviceId = req.headers['x-device-id'];
+
+          const validator = new LIVR.Validator({
+            refreshToken: ['trim', 'string', 'required'],
+            deviceId: ['trim', 'string', 'required'],
+          });
+
+          const validData = validator.validate({ refreshToken, deviceId });
+          if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+          cb(null, validData);
+        },
+        // rotate tokens
+        (inputs, cb) => {
+          tokens.refreshSession(
+            { refreshToken: inputs.refreshToken, role: 'customer', deviceId: inputs.deviceId },
+            cb
+          );
+        },
+      ],
+      (err, auth) => {
+        if (err) next(err);
+        else res.status(200).json(auth);
+        resolve();
+      }
+    );
+  });
+
+// @Private
+// @Customer
+function logoutCustomer(req, res, next) {
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id, sessionId) => {
+          if (err) return cb(err);
+
+          cb(null, sessionId);
+        });
+      },
+      // end current session
+      (sessionId, cb) => {
+        tokens.endSession(sessionId, cb);
+      },
+      // get success message
+      (cb) => {
+        fetchDB(messagesQuery.get, ['LOGOUT_SUCCESS', acceptsLanguages(req)], (err, result) => {
+          if (err) return cb(err);
+
+          cb(null, result.rows[0]);
+        });
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(message.http_code).json({ success: true, message: message.message });
+    }
+  );
+}
+
+// @Public
+function requestPasswordReset(req, res, next) {
+  let inputs, limiter;
+
+  async.waterfall(
+    [
+      // validate data
+      (cb) => {
+        const { phone } = req.body;
+        const deviceId = req.headers['x-device-id'];
+
+        const validator = new LIVR.Validator({
+          phone: ['trim', 'is_phone_number', 'required'],
+          deviceId: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ phone: Math.abs(phone), deviceId });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // check if customer exists
+      (cb) => {
+        fetchDB(customersQuery.getOneByPhone, [inputs.phone], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          cb(null);
+        });
+      },
+      // check if sending code is not blocked
+      (cb) => {
+        limiter = new Limiter('sms_limiter', inputs.deviceId);
+        limiter.getStatus((err, status) => {
+          if (err) return cb(err);
+
+          const { isBlocked, timeLeft } = status;
+          if (isBlocked) return cb(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          cb(null);
+        });
+      },
+      // send code
+      (cb) => {
+        const code = Math.floor(100000 + Math.random() * 900000);
+        smsService
+          .sendVerification(inputs.phone, code)
+          .then(() => cb(null, code))
+          .catch(cb);
+      },
+      // record attempt
+      (code, cb) => {
+        const limiterCb = ({ error }) => {
+          if (error) return cb(error);
+
+          cb(null, code);
+        };
+
+        limiter.record(true, limiterCb);
+      },
+      // save code
+      (code, cb) => {
+        const value = {
+          code,
+          phone: inputs.phone,
+          purpose: 'password_reset',
+          exp: moment().add(5, 'minutes').valueOf(),
+          tries: 0,
+        };
+
+        redis.hSet('customer_otp', inputs.deviceId, JSON.stringify(value), (err) => {
+          if (err) return cb(err);
+          cb(null);
+        });
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        timeLeft: 120,
+      });
+    }
+  );
+}
+
+// @Public
+function confirmPasswordReset(req, res, next) {
+  let inputs, customer;
+
+  async.waterfall(
+    [
+      // validate data
+      (cb) => {
+        const { phone, otp, password } = req.body;
+        const deviceId = req.headers['x-device-id'];
+
+        const validator = new LIVR.Validator({
+          phone: ['trim', 'is_phone_number', 'required'],
+          otp: ['trim', 'required', 'string'],
+          password: ['trim', 'required', { min_length: 6 }, 'alphanumeric'],
+          deviceId: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ phone: Math.abs(phone), otp, password, deviceId });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // get customer
+      (cb) => {
+        fetchDB(customersQuery.getOneByPhone, [inputs.phone], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          customer = result.rows[0];
+          cb(null);
+        });
+      },
+      // check if code is correct
+      (cb) => {
+        redis.hGet('customer_otp', inputs.deviceId, (err, details) => {
+          if (err) return cb(err);
+          const detailsObject = JSON.parse(details || '{}');
+          const expired = moment().isAfter(moment(detailsObject.exp));
+          const tooManyTries = detailsObject.tries >= 3;
+          const sameNumber = detailsObject.phone === inputs.phone;
+          const samePurpose = detailsObject.purpose === 'password_reset';
+          const sameCode = detailsObject.code === parseInt(inputs.otp);
+
+          if (!details || tooManyTries || !sameCode || !sameNumber || !samePurpose || expired) {
+            detailsObject.tries += 1;
+            redis.hSet('customer_otp', inputs.deviceId, JSON.stringify(detailsObject));
+
+            if (tooManyTries || detailsObject.tries >= 3)
+              return cb(new CustomError('TOO_MANY_TRIES'));
+            if (expired) return cb(new CustomError('EXPIRED_OTP'));
+            return cb(new CustomError('WRONG_OTP'));
+          }
+
+          redis.hDel('customer_otp', inputs.deviceId);
+          cb(null);
+        });
+      },
+      // update password
+      (cb) => {
+        const hashedPassword = bcrypt.hashSync(inputs.password, 10);
+
+        fetchDB(customersQuery.updatePassword, [hashedPassword, customer.id], (err, result) => {
+          if (err) return cb(err);
+
+          const message = result.rows[0].message[acceptsLanguages(req)];
+          cb(null, message);
+        });
+      },
+      // end all sessions
+      (message, cb) => {
+        tokens.endAllSessions('customer', customer.id, null, (err) => {
+          if (err) return cb(err);
+
+          cb(null, message);
+        });
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
     }
   );
 }
 
-// @Helper
-function getDeviceInfo(req) {
-  let { browser, version, os, platform } = req.useragent;
+// @Private
+// @Customer
+function sendCodeToNewPhone(req, res, next) {
+  let customerId, customer, inputs, limiter, isTrusted;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { phone } = req.body;
+        const deviceId = req.headers['x-device-id'];
+
+        const validator = new LIVR.Validator({
+          phone: ['trim', 'is_phone_number', 'required'],
+          deviceId: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ phone: Math.abs(phone), deviceId });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
 
-  platform = platform === 'unknown' ? '' : platform;
-  os = os === 'unknown' ? '' : os;
+        inputs = validData;
+        cb(null);
+      },
+      // get customer
+      (cb) => {
+        fetchDB(customersQuery.getOneById, [customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
 
-  return `${platform} ${os} ${browser} ${version}`.trim();
+          customer = result.rows[0];
+          cb(null);
+        });
+      },
+      // check if new number is not taken
+      (cb) => {
+        fetchDB(customersQuery.getOneByPhone, [inputs.phone], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length > 0) return cb(new CustomError('NUMBER_TAKEN'));
+
+          cb(null);
+        });
+      },
+      // check if current device is trusted
+      (cb) => {
+        fetchDB(devicesQuery.getOnyByCustomer, [inputs.deviceId, customerId], (err, result) => {
+          if (err) return cb(err);
+
+          isTrusted = result.rows.length > 0;
+          cb(null);
+        });
+      },
+      // check if sending code is not blocked
+      (cb) => {
+        limiter = new Limiter('sms_limiter', inputs.deviceId);
+        limiter.getStatus((err, status) => {
+          if (err) return cb(err);
+
+          const { isBlocked, timeLeft } = status;
+          if (isBlocked) return cb(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          cb(null);
+        });
+      },
+      // send code to new number, and to current one if device is trusted
+      (cb) => {
+        const code = Math.floor(100000 + Math.random() * 900000);
+        const currentCode = isTrusted ? Math.floor(100000 + Math.random() * 900000) : null;
+
+        Promise.all([
+          smsService.sendVerification(inputs.phone, code),
+          isTrusted && smsService.sendVerification(customer.phone, currentCode),
+        ])
+          .then(() => cb(null, code, currentCode))
+          .catch(cb);
+      },
+      // record attempt
+      (code, currentCode, cb) => {
+        const limiterCb = ({ error }) => {
+          if (error) return cb(error);
+
+          cb(null, code, currentCode);
+        };
+
+        limiter.record(true, limiterCb);
+      },
+      // save codes
+      (code, currentCode, cb) => {
+        const value = {
+          code,
+          currentCode,
+          phone: inputs.phone,
+          customerId,
+          purpose: 'phone_change',
+          exp: moment().add(5, 'minutes').valueOf(),
+          tries: 0,
+        };
+
+        redis.hSet('customer_otp', inputs.deviceId, JSON.stringify(value), (err) => {
+          if (err) return cb(err);
+          cb(null);
+        });
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        password: !isTrusted,
+        currentOtp: isTrusted,
+        timeLeft: 120,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function updateCustomerPhone(req, res, next) {
+  let customerId, sessionId, customer, inputs, message;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id, session) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          sessionId = session;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { phone, otp, currentOtp, password } = req.body;
+        const deviceId = req.headers['x-device-id'];
+
+        const validator = new LIVR.Validator({
+          phone: ['trim', 'is_phone_number', 'required'],
+          otp: ['trim', 'required', 'string'],
+          currentOtp: ['trim', 'string'],
+          password: ['trim', 'string'],
+          deviceId: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({
+          phone: Math.abs(phone),
+          otp,
+          currentOtp,
+          password,
+          deviceId,
+        });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        // password is required when current number is not confirmed by otp
+        if (!validData.currentOtp && !validData.password)
+          return cb(new ValidationError({ password: 'REQUIRED' }));
+
+        inputs = validData;
+        cb(null);
+      },
+      // get customer
+      (cb) => {
+        fetchDB(customersQuery.getOneById, [customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          customer = result.rows[0];
+          cb(null);
+        });
+      },
+      // check if codes and password are correct
+      (cb) => {
+        redis.hGet('customer_otp', inputs.deviceId, (err, details) => {
+          if (err) return cb(err);
+          const detailsObject = JSON.parse(details || '{}');
+          const expired = moment().isAfter(moment(detailsObject.exp));
+          const tooManyTries = detailsObject.tries >= 3;
+          const sameRequest =
+            detailsObject.purpose === 'phone_change' &&
+            detailsObject.customerId === customerId &&
+            detailsObject.phone === inputs.phone;
+          const sameCode = detailsObject.code === parseInt(inputs.otp);
+
+          // current number is confirmed by otp on trusted device, otherwise by password
+          const isConfirmed = inputs.currentOtp
+            ? !!detailsObject.currentCode &&
+              detailsObject.currentCode === parseInt(inputs.currentOtp)
+            : bcrypt.compareSync(inputs.password, customer.hashed_password);
+
+          if (!details || tooManyTries || !sameRequest || !sameCode || expired || !isConfirmed) {
+            detailsObject.tries += 1;
+            redis.hSet('customer_otp', inputs.deviceId, JSON.stringify(detailsObject));
+
+            if (tooManyTries || detailsObject.tries >= 3)
+              return cb(new CustomError('TOO_MANY_TRIES'));
+            if (expired) return cb(new CustomError('EXPIRED_OTP'));
+            if (!isConfirmed && !inputs.currentOtp) return cb(new CustomError('WRONG_PASSWORD'));
+            return cb(new CustomError('WRONG_OTP'));
+          }
+
+          redis.hDel('customer_otp', inputs.deviceId);
+          cb(null);
+        });
+      },
+      // check if new number is still not taken
+      (cb) => {
+        fetchDB(customersQuery.getOneByPhone, [inputs.phone], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length > 0) return cb(new CustomError('NUMBER_TAKEN'));
+
+          cb(null);
+        });
+      },
+      // update phone
+      (cb) => {
+        fetchDB(customersQuery.updatePhone, [inputs.phone, customerId], (err, result) => {
+          if (err) return cb(err);
+
+          message = result.rows[0].message[acceptsLanguages(req)];
+          cb(null);
+        });
+      },
+      // end other sessions
+      (cb) => {
+        tokens.endAllSessions('customer', customerId, sessionId, cb);
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function sendCodeToCloseAccount(req, res, next) {
+  let customer, deviceId, limiter;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+          cb(null, id);
+        });
+      },
+      // validate data
+      (customerId, cb) => {
+        const validator = new LIVR.Validator({
+          deviceId: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ deviceId: req.headers['x-device-id'] });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        deviceId = validData.deviceId;
+        cb(null, customerId);
+      },
+      // get customer
+      (customerId, cb) => {
+        fetchDB(customersQuery.getOneById, [customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          customer = result.rows[0];
+          cb(null);
+        });
+      },
+      // check if sending code is not blocked
+      (cb) => {
+        limiter = new Limiter('sms_limiter', deviceId);
+        limiter.getStatus((err, status) => {
+          if (err) return cb(err);
+
+          const { isBlocked, timeLeft } = status;
+          if (isBlocked) return cb(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          cb(null);
+        });
+      },
+      // send code
+      (cb) => {
+        const code = Math.floor(100000 + Math.random() * 900000);
+        smsService
+          .sendVerification(customer.phone, code)
+          .then(() => cb(null, code))
+          .catch(cb);
+      },
+      // record attempt
+      (code, cb) => {
+        const limiterCb = ({ error }) => {
+          if (error) return cb(error);
+
+          cb(null, code);
+        };
+
+        limiter.record(true, limiterCb);
+      },
+      // save code
+      (code, cb) => {
+        const value = {
+          code,
+          phone: customer.phone,
+          customerId: customer.id,
+          purpose: 'account_closure',
+          exp: moment().add(5, 'minutes').valueOf(),
+          tries: 0,
+        };
+
+        redis.hSet('customer_otp', deviceId, JSON.stringify(value), (err) => {
+          if (err) return cb(err);
+          cb(null);
+        });
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        timeLeft: 120,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function closeCustomerAccount(req, res, next) {
+  let customerId, customer, inputs, message;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { otp } = req.body;
+        const deviceId = req.headers['x-device-id'];
+
+        const validator = new LIVR.Validator({
+          otp: ['trim', 'required', 'string'],
+          deviceId: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ otp, deviceId });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // get customer
+      (cb) => {
+        fetchDB(customersQuery.getOneById, [customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          customer = result.rows[0];
+          cb(null);
+        });
+      },
+      // check if code is correct
+      (cb) => {
+        redis.hGet('customer_otp', inputs.deviceId, (err, details) => {
+          if (err) return cb(err);
+          const detailsObject = JSON.parse(details || '{}');
+          const expired = moment().isAfter(moment(detailsObject.exp));
+          const tooManyTries = detailsObject.tries >= 3;
+          const sameRequest =
+            detailsObject.purpose === 'account_closure' &&
+            detailsObject.customerId === customerId;
+          const sameCode = detailsObject.code === parseInt(inputs.otp);
+
+          if (!details || tooManyTries || !sameRequest || !sameCode || expired) {
+            detailsObject.tries += 1;
+            redis.hSet('customer_otp', inputs.deviceId, JSON.stringify(detailsObject));
+
+            if (tooManyTries || detailsObject.tries >= 3)
+              return cb(new CustomError('TOO_MANY_TRIES'));
+            if (expired) return cb(new CustomError('EXPIRED_OTP'));
+            return cb(new CustomError('WRONG_OTP'));
+          }
+
+          redis.hDel('customer_otp', inputs.deviceId);
+          cb(null);
+        });
+      },
+      // anonymise customer and remove related data
+      (cb) => {
+        fetchDB(customersQuery.close, [customerId], (err, result) => {
+          if (err) return cb(err);
+
+          const { error_code, error_message, success_message } = result.rows[0];
+
+          if (error_code) return cb(new CustomError(error_code, error_message));
+
+          message = success_message[acceptsLanguages(req)];
+          cb(null);
+        });
+      },
+      // delete avatar and data export, archive left by failed delete is removed when it expires
+      (cb) => {
+        if (customer.image_url) fileStorageS3.delete(customer.image_url);
+        deleteDataExport(customerId);
+        cb(null);
+      },
+      // end all sessions
+      (cb) => {
+        tokens.endAllSessions('customer', customerId, null, cb);
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function setPaymentPin(req, res, next) {
+  let customerId, inputs, message;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { pin, password } = req.body;
+
+        const validator = new LIVR.Validator({
+          pin: ['trim', 'required', 'is_pin'],
+          password: ['trim', 'required', 'string'],
+        });
+
+        const validData = validator.validate({ pin, password });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // check password
+      (cb) => {
+        fetchDB(customersQuery.getOneById, [customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          const customer = result.rows[0];
+          const passwordIsCorrect = bcrypt.compareSync(inputs.password, customer.hashed_password);
+          if (!passwordIsCorrect) return cb(new CustomError('WRONG_PASSWORD'));
+
+          cb(null);
+        });
+      },
+      // save pin
+      (cb) => {
+        const hashedPin = bcrypt.hashSync(inputs.pin, 10);
+
+        fetchDB(customersQuery.updatePin, [hashedPin, customerId], (err, result) => {
+          if (err) return cb(err);
+
+          message = result.rows[0].message[acceptsLanguages(req)];
+          cb(null);
+        });
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
 }
 
 // FAKE OTP GETTER
@@ -938,4 +1666,13 @@ module.exports = {
   removeServiceFromSaved,
   sendCodeToPhone,
   allowLoginByQR,
+  refreshCustomerToken,
+  logoutCustomer,
+  requestPasswordReset,
+  confirmPasswordReset,
+  sendCodeToNewPhone,
+  updateCustomerPhone,
+  sendCodeToCloseAccount,
+  closeCustomerAccount,
+  setPaymentPin,
 };
@@ -1,12 +1,13 @@
 const async = require('async');
+const moment = require('moment');
 const fetchDB = require('../postgres');
-const { devicesQuery, messagesQuery } = require('../postgres/queries');
+const { devicesQuery, merchantDevicesQuery, messagesQuery } = require('../postgres/queries');
 const verifyToken = require('../middleware/verifyToken');
 const CustomError = require('../errors/CustomError');
-const redis = require('../redis');
 const ValidationError = require('../errors/ValidationError');
 const LIVR = require('../utils/livr');
 const acceptsLanguages = require('../utils/acceptsLanguages');
+const tokens = require('../utils/tokens');
 
 // @Private
 // @Customer
@@ -82,9 +83,13 @@ function untrustDevice(req, res, next) {
 
           message = res.rows[0].message[acceptsLanguages(req)];
 
-          cb(null);
+          cb(null, customerId, res.rows[0].device_id);
         });
       },
+      // end session of untrusted device
+      (customerId, deviceId, cb) => {
+        tokens.endDeviceSessions('customer', customerId, deviceId, cb);
+      },
     ],
     (err) => {
       if (err) return next(err);
@@ -100,16 +105,17 @@ function untrustDevice(req, res, next) {
 // @Private
 // @Customer
 function endOtherSessions(req, res, next) {
-  let customerId, inputs, message;
+  let customerId, sessionId, inputs, message;
 
   async.waterfall(
     [
       // verify customer
       (cb) => {
-        verifyToken(req, 'customer', (err, id) => {
+        verifyToken(req, 'customer', (err, id, session) => {
           if (err) return cb(err);
 
           customerId = id;
+          sessionId = session;
           cb(null);
         });
       },
@@ -136,25 +142,9 @@ function endOtherSessions(req, res, next) {
           cb(null);
         });
       },
-      // remove tokens from redis
+      // end other sessions of this customer
       (cb) => {
-        redis.hGetAll('customers', (err, result) => {
-          if (err) return cb(err);
-
-          const keys = Object.keys(result);
-          const promises = [];
-
-          keys.forEach((key) => {
-            if (key !== inputs.deviceId) {
-              promises.push(redis.hDel('tokens', result[key]));
-              promises.push(redis.hDel('customers', key));
-            }
-          });
-
-          Promise.all(promises)
-            .then(() => cb(null))
-            .catch((err) => cb(err));
-        });
+        tokens.endAllSessions('customer', customerId, sessionId, cb);
       },
       // get success message
       (cb) => {
@@ -174,8 +164,131 @@ function endOtherSessions(req, res, next) {
   );
 }
 
+// @Private
+// @Customer
+function getAllSessions(req, res, next) {
+  let sessionId;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id, session) => {
+          if (err) return cb(err);
+
+          sessionId = session;
+          cb(null, id);
+        });
+      },
+      // get sessions of this customer
+      (customerId, cb) => {
+        tokens.getSessions('customer', customerId, cb);
+      },
+    ],
+    (err, sessions) => {
+      if (err) return next(err);
+
+      const rows = sessions
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+        .map((session) => ({
+          id: session.sessionId,
+          device: session.device,
+          created_at: moment(session.createdAt).toISOString(),
+          last_used_at: moment(session.lastUsedAt).toISOString(),
+          current: session.sessionId === sessionId,
+        }));
+
+      res.status(200).json({ count: rows.length, rows });
+    }
+  );
+}
+
+// @Private
+// @Merchant
+function getAllMerchantDevices(req, res, next) {
+  async.waterfall(
+    [
+      // verify merchant
+      (cb) => {
+        verifyToken(req, 'merchant', (err, merchantId) => {
+          if (err) return cb(err);
+          cb(null, merchantId);
+        });
+      },
+      // get all devices
+      (merchantId, cb) => {
+        const deviceId = req.headers['x-device-id'];
+        fetchDB(merchantDevicesQuery.getAllByMerchant, [merchantId, deviceId], (err, result) => {
+          if (err) return cb(err);
+
+          cb(null, { count: result.rowCount, rows: result.rows });
+        });
+      },
+    ],
+    (err, devices) => {
+      if (err) return next(err);
+
+      res.status(200).json(devices);
+    }
+  );
+}
+
+// @Private
+// @Merchant
+function untrustMerchantDevice(req, res, next) {
+  let message;
+
+  async.waterfall(
+    [
+      // verify merchant
+      (cb) => {
+        verifyToken(req, 'merchant', (err, merchantId) => {
+          if (err) return cb(err);
+          cb(null, merchantId);
+        });
+      },
+      // check if current device is trusted
+      (merchantId, cb) => {
+        const deviceId = req.headers['x-device-id'];
+        fetchDB(merchantDevicesQuery.getOneByMerchant, [deviceId, merchantId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('ALLOWED_FOR_TRUSTED'));
+
+          cb(null, merchantId);
+        });
+      },
+      // delete device
+      (merchantId, cb) => {
+        fetchDB(merchantDevicesQuery.remove, [req.body.id, merchantId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('DEVICE_NOT_FOUND'));
+
+          message = result.rows[0].message[acceptsLanguages(req)];
+
+          cb(null, merchantId, result.rows[0].device_id);
+        });
+      },
+      // end sessions of untrusted device
+      (merchantId, deviceId, cb) => {
+        tokens.endDeviceSessions('merchant', merchantId, deviceId, cb);
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
 module.exports = {
   untrustDevice,
   getAllDevices,
   endOtherSessions,
+  getAllSessions,
+  getAllMerchantDevices,
+  untrustMerchantDevice,
 };
@@ -0,0 +1,319 @@
+const async = require('async');
+const moment = require('moment');
+const v4 = require('uuid').v4;
+const fetchDB = require('../postgres');
+const redis = require('../redis');
+const { exportsQuery, messagesQuery } = require('../postgres/queries');
+const verifyToken = require('../middleware/verifyToken');
+const CustomError = require('../errors/CustomError');
+const fileStorageS3 = require('../utils/fileStorageS3');
+const acceptsLanguages = require('../utils/acceptsLanguages');
+const toCsv = require('../utils/csv');
+const zip = require('../utils/zip');
+
+// lifetimes in seconds
+const PENDING_EXPORT_TTL = 10 * 60;
+const EXPORT_LINK_TTL = 24 * 60 * 60;
+
+const exportKey = (customerId) => `data_export:${customerId}`;
+
+// uploaded archives with time their links expire, so they are deleted afterwards
+const EXPORT_FILES_KEY = 'data_export_files';
+
+// csv columns taken as is from row fields
+const columns = (...keys) => keys.map((key) => ({ header: key, value: (row) => row[key] }));
+
+// @Private
+// @Customer
+function requestDataExport(req, res, next) {
+  let customerId, exportDetails;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // check if previous export is not in progress
+      (cb) => {
+        redis.get(exportKey(customerId), (err, result) => {
+          if (err) return cb(err);
+
+          const previous = result ? JSON.parse(result) : null;
+          if (previous && previous.status === 'pending')
+            return cb(new CustomError('EXPORT_IN_PROGRESS'));
+
+          cb(null, previous);
+        });
+      },
+      // save new export, replacing the previous one
+      (previous, cb) => {
+        if (previous && previous.file) deleteExportFile(previous.file);
+
+        exportDetails = {
+          id: v4(),
+          status: 'pending',
+          requested_at: moment().toISOString(),
+        };
+
+        redis.set(
+          exportKey(customerId),
+          JSON.stringify(exportDetails),
+          PENDING_EXPORT_TTL,
+          (err) => {
+            if (err) return cb(err);
+            cb(null);
+          }
+        );
+      },
+      // get success message
+      (cb) => {
+        fetchDB(messagesQuery.get, ['EXPORT_REQUESTED', acceptsLanguages(req)], (err, result) => {
+          if (err) return cb(err);
+
+          cb(null, result.rows[0]);
+        });
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(message.http_code).json({
+        success: true,
+        message: message.message,
+        id: exportDetails.id,
+        status: exportDetails.status,
+      });
+
+      generateExport(customerId, exportDetails);
+    }
+  );
+}
+
+// @Private
+// @Customer
+function getDataExport(req, res, next) {
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, customerId) => {
+          if (err) return cb(err);
+          cb(null, customerId);
+        });
+      },
+      // get export status
+      (customerId, cb) => {
+        redis.get(exportKey(customerId), (err, result) => {
+          if (err) return cb(err);
+          if (!result) return cb(new CustomError('EXPORT_NOT_FOUND'));
+
+          const exportDetails = JSON.parse(result);
+          delete exportDetails.file;
+
+          cb(null, exportDetails);
+        });
+      },
+    ],
+    (err, exportDetails) => {
+      if (err) return next(err);
+
+      res.status(200).json(exportDetails);
+    }
+  );
+}
+
+// @Helper
+// collects customer data, uploads it as zip archive and saves temporary download link
+function generateExport(customerId, exportDetails) {
+  const fileName = `exports/${customerId}/${exportDetails.id}.zip`;
+
+  async.waterfall(
+    [
+      // collect data
+      (cb) => {
+        const query = (sql) => (callback) =>
+          fetchDB(sql, [customerId], (err, result) => {
+            if (err) return callback(err);
+            callback(null, result.rows);
+          });
+
+        async.parallel(
+          {
+            profile: query(exportsQuery.getProfile),
+            cards: query(exportsQuery.getCards),
+            devices: query(exportsQuery.getDevices),
+            saved_services: query(exportsQuery.getSavedServices),
+            transactions: query(exportsQuery.getTransactions),
+          },
+          cb
+        );
+      },
+      // build archive
+      (data, cb) => {
+        const profile = data.profile[0];
+        if (!profile) return cb(new CustomError('USER_NOT_FOUND'));
+
+        profile.image_url = fileStorageS3.getFileUrl(profile.image_url);
+        data.profile = profile;
+
+        const files = [
+          { name: 'data.json', content: JSON.stringify(data, null, 2) },
+          {
+            name: 'profile.csv',
+            content: toCsv(
+              [profile],
+              columns(
+                'id',
+                'name',
+                'phone',
+                'image_url',
+                'gender',
+                'birth_date',
+                'lang',
+                'reg_date'
+              )
+            ),
+          },
+          {
+            name: 'cards.csv',
+            content: toCsv(
+              data.cards,
+              columns('id', 'name', 'owner_name', 'pan', 'expiry_month', 'expiry_year', 'balance')
+            ),
+          },
+          { name: 'devices.csv', content: toCsv(data.devices, columns('name', 'last_login')) },
+          {
+            name: 'saved_services.csv',
+            content: toCsv(data.saved_services, columns('id', 'name')),
+          },
+          {
+            name: 'transactions.csv',
+            content: toCsv(data.transactions, [
+              ...columns('id', 'created_at', 'type', 'action', 'amount'),
+              { header: 'sender_name', value: (row) => row.sender.name },
+              { header: 'sender_pan', value: (row) => row.sender.pan },
+              { header: 'receiver_name', value: (row) => row.receiver.name },
+              { header: 'receiver_pan', value: (row) => row.receiver.pan },
+            ]),
+          },
+        ];
+
+        zip(files, cb);
+      },
+      // upload archive
+      (archive, cb) => {
+        fileStorageS3.uploadPrivateFile(archive, fileName, 'application/zip', (err) => {
+          if (err) return cb(err);
+          cb(null);
+        });
+      },
+      // remember archive, so it is deleted when link expires
+      (cb) => {
+        const expiresAt = moment().add(EXPORT_LINK_TTL, 'seconds').toISOString();
+
+        redis.hSet(EXPORT_FILES_KEY, fileName, expiresAt, (err) => {
+          if (err) return cb(err);
+          cb(null);
+        });
+      },
+      // create download link
+      (cb) => {
+        fileStorageS3.getSignedFileUrl(fileName, EXPORT_LINK_TTL, cb);
+      },
+      // save link
+      (url, cb) => {
+        const details = {
+          ...exportDetails,
+          status: 'ready',
+          url,
+          expires_at: moment().add(EXPORT_LINK_TTL, 'seconds').toISOString(),
+          file: fileName,
+        };
+
+        redis.set(exportKey(customerId), JSON.stringify(details), EXPORT_LINK_TTL, cb);
+      },
+    ],
+    (err) => {
+      if (!err) return;
+
+      console.error(err);
+      const details = { ...exportDetails, status: 'failed' };
+      redis.set(exportKey(customerId), JSON.stringify(details), PENDING_EXPORT_TTL);
+    }
+  );
+}
+
+// @Helper
+// deletes uploaded archive, it is forgotten only once deleted so failed ones are retried
+function deleteExportFile(fileName, cb) {
+  cb = cb || function () {};
+
+  fileStorageS3.delete(fileName, (err) => {
+    if (err) return cb(err);
+
+    redis.hDel(EXPORT_FILES_KEY, fileName, (err) => {
+      if (err) return cb(err);
+      cb(null);
+    });
+  });
+}
+
+// @Helper
+// deletes export of the customer with its archive
+function deleteDataExport(customerId, cb) {
+  cb = cb || function () {};
+
+  async.waterfall(
+    [
+      // get export
+      (cb) => {
+        redis.get(exportKey(customerId), (err, result) => {
+          if (err) return cb(err);
+          cb(null, result ? JSON.parse(result) : null);
+        });
+      },
+      // delete archive
+      (exportDetails, cb) => {
+        if (!exportDetails || !exportDetails.file) return cb(null);
+        deleteExportFile(exportDetails.file, cb);
+      },
+      // delete export
+      (cb) => {
+        redis.del(exportKey(customerId), (err) => {
+          if (err) return cb(err);
+          cb(null);
+        });
+      },
+    ],
+    cb
+  );
+}
+
+// @Helper
+// deletes archives whose download links have expired
+function deleteExpiredExports(cb) {
+  cb = cb || function () {};
+
+  redis.hGetAll(EXPORT_FILES_KEY, (err, files) => {
+    if (err) return cb(err);
+
+    const expired = Object.keys(files || {}).filter((fileName) =>
+      moment().isAfter(moment(files[fileName]))
+    );
+
+    async.eachSeries(expired, deleteExportFile, cb);
+  });
+}
+
+module.exports = {
+  requestDataExport,
+  getDataExport,
+  deleteDataExport,
+  deleteExpiredExports,
+};
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const async = require('async');
+const base64url = require('base64url');
+const verifyToken = require('../middleware/verifyToken');
+const LIVR = require('../utils/livr');
+const fetchDB = require('../postgres');
+const ValidationError = require('../errors/ValidationError');
+const CustomError = require('../errors/CustomError');
+const { invoicesQuery, servicesQuery } = require('../postgres/queries');
+const fileStorageS3 = require('../utils/fileStorageS3');
+const acceptsLanguages = require('../utils/acceptsLanguages');
+const { confirmTransaction, deleteTransactionCode } = require('./transaction');
+
+// @Private
+// @Merchant
+function createInvoice(req, res, next) {
+  let merchantId, inputs;
+
+  async.waterfall(
+    [
+      // verify merchant
+      (cb) => {
+        verifyToken(req, 'merchant', (err, id) => {
+          if (err) return cb(err);
+
+          merchantId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { serviceId, amount, fields, description, dueDate, singleUse } = req.body;
+
+        const validator = new LIVR.Validator({
+          serviceId: ['trim', 'string', 'required'],
+          amount: ['required', 'positive_integer'],
+          fields: ['any_object'],
+          description: ['trim', 'string', { max_length: 256 }],
+          dueDate: ['required', { iso_date: { min: 'current' } }],
+          singleUse: ['boolean', { default: false }],
+        });
+
+        const validData = validator.validate({
+          serviceId,
+          amount,
+          fields,
+          description,
+          dueDate,
+          singleUse,
+        });
+
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        inputs.fields = inputs.fields || {};
+        cb(null);
+      },
+      // check service, prefilled values must be of its fields
+      (cb) => {
+        fetchDB(
+          servicesQuery.getOneByIdWithCategory,
+          [inputs.serviceId, merchantId, acceptsLanguages(req)],
+          (err, result) => {
+            if (err) return cb(err);
+            if (result.rowCount === 0) return cb(new CustomError('SERVICE_NOT_FOUND'));
+
+            const fieldIds = (result.rows[0].fields || []).map((field) => field.id);
+            const unknown = Object.keys(inputs.fields).filter((id) => !fieldIds.includes(id));
+
+            if (unknown.length > 0) {
+              const errors = {};
+              unknown.forEach((id) => (errors[id] = 'NOT_ALLOWED_VALUE'));
+              return cb(new ValidationError({ fields: errors }));
+            }
+
+            cb(null);
+          }
+        );
+      },
+      // save invoice
+      (cb) => {
+        const publicKey = base64url(crypto.randomBytes(16));
+
+        fetchDB(
+          invoicesQuery.create,
+          [
+            merchantId,
+            inputs.serviceId,
+            inputs.amount,
+            JSON.stringify(inputs.fields),
+            inputs.description || null,
+            inputs.dueDate,
+            inputs.singleUse,
+            publicKey,
+          ],
+          (err, result) => {
+            if (err) return cb(err);
+
+            const { id, public_key, message } = result.rows[0];
+            cb(null, { id, public_key }, message[acceptsLanguages(req)]);
+          }
+        );
+      },
+    ],
+    (err, invoice, message) => {
+      if (err) return next(err);
+
+      res.status(201).json({
+        success: true,
+        ...invoice,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Merchant
+function getMerchantInvoices(req, res, next) {
+  async.waterfall(
+    [
+      // verify merchant
+      (cb) => {
+        verifyToken(req, 'merchant', (err, merchantId) => {
+          if (err) return cb(err);
+          cb(null, merchantId);
+        });
+      },
+      // get invoices with their status
+      (merchantId, cb) => {
+        fetchDB(invoicesQuery.getAllByMerchant, [merchantId], (err, result) => {
+          if (err) return cb(err);
+          cb(null, result.rowCount, result.rows);
+        });
+      },
+    ],
+    (err, count, invoices) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        count,
+        invoices,
+      });
+    }
+  );
+}
+
+// @Public
+function getInvoiceByKey(req, res, next) {
+  let invoice;
+
+  async.waterfall(
+    [
+      // validate data
+      (cb) => {
+        const { key } = req.params;
+
+        const validator = new LIVR.Validator({
+          key: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ key });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, validData);
+      },
+      // get invoice with service fields to fill
+      (inputs, cb) => {
+        fetchDB(invoicesQuery.getOnePublicByKey, [inputs.key], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('INVOICE_NOT_FOUND'));
+
+          invoice = result.rows[0];
+          invoice.service.image_url = fileStorageS3.getFileUrl(invoice.service.image_url);
+
+          cb(null);
+        });
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json(invoice);
+    }
+  );
+}
+
+// @Private
+// @Customer
+function payInvoice(req, res, next) {
+  let customerId, inputs, invoice;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data, fields not prefilled by merchant are given by customer
+      (cb) => {
+        const { key, fromCardId, fields, pin, otp } = req.body;
+
+        const validator = new LIVR.Validator({
+          key: ['trim', 'string', 'required'],
+          fromCardId: ['trim', 'string', 'required'],
+          fields: ['any_object'],
+          pin: ['trim', 'string'],
+          otp: ['trim', 'string'],
+        });
+
+        const validData = validator.validate({
+          key,
+          fromCardId,
+          fields,
+          pin,
+          otp,
+        });
+
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // get invoice
+      (cb) => {
+        fetchDB(invoicesQuery.getForPayment, [inputs.key], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('INVOICE_NOT_FOUND'));
+
+          invoice = result.rows[0];
+          if (invoice.single_use && invoice.paid)
+            return cb(new CustomError('INVOICE_ALREADY_PAID'));
+          if (invoice.expired) return cb(new CustomError('INVOICE_EXPIRED'));
+
+          inputs.amount = invoice.amount;
+          cb(null);
+        });
+      },
+      // confirm transaction
+      (cb) => {
+        confirmTransaction(customerId, { ...inputs, recipient: invoice.service_id }, cb);
+      },
+      // pay invoice and save its payment
+      (cb) => {
+        fetchDB(
+          invoicesQuery.pay,
+          [invoice.id, customerId, inputs.fromCardId, JSON.stringify(inputs.fields || {})],
+          (err, result) => {
+            if (err) return cb(err);
+
+            const { error_code, error_message, payment_id, success_message } = result.rows[0];
+
+            if (error_code) return cb(new CustomError(error_code, error_message));
+
+            const message = success_message[acceptsLanguages(req)];
+            cb(null, payment_id, message);
+          }
+        );
+      },
+    ],
+    (err, payment_id, message) => {
+      if (err) return next(err);
+
+      deleteTransactionCode(customerId, inputs);
+
+      res.status(200).json({ success: true, payment_id, message });
+    }
+  );
+}
+
+module.exports = {
+  createInvoice,
+  getMerchantInvoices,
+  getInvoiceByKey,
+  payInvoice,
+};
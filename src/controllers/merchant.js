@@ -1,17 +1,19 @@
 const bcrypt = require('bcrypt');
 const async = require('async');
 const moment = require('moment');
-const { v4 } = require('uuid');
 const LIVR = require('../utils/livr');
 const fetchDB = require('../postgres');
 const redis = require('../redis');
-const { merchantsQuery } = require('../postgres/queries');
+const { merchantsQuery, merchantDevicesQuery, messagesQuery } = require('../postgres/queries');
 const ValidationError = require('../errors/ValidationError');
 const CustomError = require('../errors/CustomError');
 const verifyToken = require('../middleware/verifyToken');
 const acceptsLanguages = require('../utils/acceptsLanguages');
 const emailer = require('../utils/emailer');
 const Limiter = require('../utils/limiter');
+const tokens = require('../utils/tokens');
+const deviceInfo = require('../utils/deviceInfo');
+const totp = require('../utils/totp');
 
 // @Public
 function sendCodeToEmail(req, res, next) {
@@ -105,7 +107,7 @@ function sendCodeToEmail(req, res, next) {
 
 // @Public
 function registerMerchant(req, res, next) {
-  let inputs, newMerchant, token;
+  let inputs, newMerchant, auth;
 
   async.waterfall(
     [
@@ -178,26 +180,30 @@ function registerMerchant(req, res, next) {
           cb(null);
         });
       },
-      // save and return new token
+      // trust registration device
       (cb) => {
-        token = v4();
-        redis.hSet('merchants', newMerchant.id, token, (err) => {
+        const info = deviceInfo(req.useragent);
+        fetchDB(merchantDevicesQuery.create, [newMerchant.id, inputs.deviceId, info], (err) => {
           if (err) return cb(err);
           cb(null);
         });
       },
+      // start new session
       (cb) => {
-        redis
-          .hSet(
-            'tokens',
-            token,
-            JSON.stringify({
-              id: newMerchant.id,
-              role: 'merchant',
-              exp: moment().add(1, 'hour').valueOf(),
-            })
-          )
-          .then(() => cb(null));
+        tokens.createSession(
+          {
+            id: newMerchant.id,
+            role: 'merchant',
+            deviceId: inputs.deviceId,
+            device: deviceInfo(req.useragent),
+          },
+          (err, result) => {
+            if (err) return cb(err);
+
+            auth = result;
+            cb(null);
+          }
+        );
       },
     ],
     (err) => {
@@ -211,32 +217,134 @@ function registerMerchant(req, res, next) {
       // return merchant
       res.status(200).json({
         success: true,
-        token,
+        ...auth,
       });
     }
   );
 }
 
+// @Public
+function getMerchantLoginType(req, res, next) {
+  let inputs, merchant, limiter;
+
+  async.waterfall(
+    [
+      // validate data
+      (cb) => {
+        const { email } = req.body;
+        const deviceId = req.headers['x-device-id'];
+
+        const validator = new LIVR.Validator({
+          email: ['trim', 'email', 'required'],
+          deviceId: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ email: email && email.toLowerCase(), deviceId });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // check if merchant exists
+      (cb) => {
+        fetchDB(merchantsQuery.getOneByEmail, [inputs.email], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          merchant = result.rows[0];
+          cb(null);
+        });
+      },
+      // check if device is already trusted
+      (cb) => {
+        fetchDB(
+          merchantDevicesQuery.getOneByMerchant,
+          [inputs.deviceId, merchant.id],
+          (err, result) => {
+            if (err) return cb(err);
+            cb(null, result.rows.length > 0);
+          }
+        );
+      },
+      // on new device ask authenticator code, or send code to email
+      (isTrusted, cb) => {
+        if (isTrusted) return cb(null, { password: true, otp: false, totp: false });
+        if (merchant.totp_enabled) return cb(null, { password: true, otp: false, totp: true });
+
+        limiter = new Limiter('email_limiter', inputs.deviceId);
+        limiter.getStatus((err, status) => {
+          if (err) return cb(err);
+
+          // check if sending code is not blocked
+          const { isBlocked, timeLeft } = status;
+          if (isBlocked) return cb(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          const code = Math.floor(100000 + Math.random() * 900000);
+          const otpObject = {
+            code,
+            email: inputs.email,
+            purpose: 'login',
+            exp: moment().add(5, 'minutes').valueOf(),
+          };
+
+          // save code
+          redis.hSet('merchant_otp', inputs.deviceId, JSON.stringify(otpObject), (err) => {
+            if (err) return cb(err);
+
+            emailer
+              .sendVerification(inputs.email, code)
+              .then(() => cb(null, { password: true, otp: true, totp: false, timeLeft: 120 }))
+              .catch(cb);
+          });
+        });
+      },
+      // record attempt for sending code if code is sent
+      (response, cb) => {
+        if (!response.otp) return cb(null, response);
+
+        const limiterCb = ({ error }) => {
+          if (error) return cb(error);
+
+          cb(null, response);
+        };
+
+        limiter.record(true, limiterCb);
+      },
+    ],
+    (err, response) => {
+      if (err) return next(err);
+
+      res.status(200).json(response);
+    }
+  );
+}
+
 // @Public
 function loginMerchant(req, res, next) {
-  let inputs, merchant, token, limiter;
+  let inputs, merchant, auth, limiter, isTrusted;
 
   async.waterfall(
     [
       // validate data
       (cb) => {
-        const { email, password } = req.body;
+        const { email, password, otp, totp, trust } = req.body;
         const deviceId = req.headers['x-device-id'];
 
         const validator = new LIVR.Validator({
           email: ['trim', 'email', 'required'],
-          password: ['trim', 'string'],
+          password: ['trim', 'string', 'required'],
+          otp: ['trim', 'string'],
+          totp: ['trim', 'string'],
+          trust: ['boolean', { default: false }],
           deviceId: ['trim', 'string', 'required'],
         });
 
         const validData = validator.validate({
-          email: email.toLowerCase(),
+          email: email && email.toLowerCase(),
           password,
+          otp,
+          totp,
+          trust,
           deviceId,
         });
         if (!validData) return cb(new ValidationError(validator.getErrors()));
@@ -267,60 +375,111 @@ function loginMerchant(req, res, next) {
           cb(null);
         });
       },
-      // login with attempts limiter
+      // check if device is trusted
       (cb) => {
-        const { password } = inputs;
-        const passwordIsCorrect = bcrypt.compareSync(password, merchant.hashed_password);
+        fetchDB(
+          merchantDevicesQuery.getOneByMerchant,
+          [inputs.deviceId, merchant.id],
+          (err, result) => {
+            if (err) return cb(err);
+
+            isTrusted = result.rows.length > 0;
+            cb(null);
+          }
+        );
+      },
+      // check password
+      (cb) => {
+        const passwordIsCorrect = bcrypt.compareSync(inputs.password, merchant.hashed_password);
+        if (!passwordIsCorrect) return cb(null, false, 'WRONG_PASSWORD');
+        if (isTrusted) return cb(null, true, null);
+
+        // new device needs second factor
+        if (merchant.totp_enabled) {
+          if (!inputs.totp) return cb(new ValidationError({ totp: 'REQUIRED' }));
+
+          return verifyTotpOrBackupCode(merchant, inputs.totp, (err, isValid) => {
+            if (err) return cb(err);
+            cb(null, isValid, 'WRONG_OTP');
+          });
+        }
 
-        const increaseAttempt = passwordIsCorrect ? false : true;
+        if (!inputs.otp) return cb(new ValidationError({ otp: 'REQUIRED' }));
+
+        redis.hGet('merchant_otp', inputs.deviceId, (err, details) => {
+          if (err) return cb(err);
+          const detailsObject = JSON.parse(details || '{}');
+          const expired = moment().isAfter(moment(detailsObject.exp));
+          const sameRequest = detailsObject.purpose === 'login';
+          const sameEmail = detailsObject.email === inputs.email;
+          const sameCode = detailsObject.code === parseInt(inputs.otp);
+
+          if (!details || !sameRequest || !sameEmail || !sameCode || expired) {
+            if (expired) {
+              redis.hDel('merchant_otp', inputs.deviceId);
+              return cb(new CustomError('EXPIRED_OTP'));
+            }
+
+            return cb(null, false, 'WRONG_OTP');
+          }
+
+          redis.hDel('merchant_otp', inputs.deviceId);
+          cb(null, true, null);
+        });
+      },
+      // login with attempts limiter
+      (isValidCredentials, errorCode, cb) => {
+        const increaseAttempt = isValidCredentials ? false : true;
 
         const limiterCb = ({ error, canTryAgain, timeLeft }) => {
-          if (passwordIsCorrect) return cb(null);
+          if (isValidCredentials) return cb(null);
 
           if (error) return cb(error);
           if (!canTryAgain) return cb(new CustomError('USER_BLOCKED', null, { timeLeft }));
 
-          cb(new CustomError('WRONG_PASSWORD'));
+          cb(new CustomError(errorCode));
         };
 
         limiter.record(increaseAttempt, limiterCb);
       },
-      // delete old token
-      (cb) =>
-        redis.hGet('merchants', merchant.id, (err, oldToken) => {
-          if (err) return cb(err);
-          if (oldToken) redis.hDel('tokens', oldToken);
-          cb(null);
-        }),
-      // save and return new token
+      // trust device if needed
       (cb) => {
-        token = v4();
-        redis.hSet('merchants', merchant.id, token, (err) => {
+        if (isTrusted) {
+          fetchDB(merchantDevicesQuery.updateLastLogin, [inputs.deviceId, merchant.id]);
+          return cb(null);
+        }
+
+        if (!inputs.trust) return cb(null);
+
+        const info = deviceInfo(req.useragent);
+        fetchDB(merchantDevicesQuery.create, [merchant.id, inputs.deviceId, info], (err) => {
           if (err) return cb(err);
           cb(null);
         });
       },
+      // start new session, ending the old one of this device
       (cb) => {
-        redis
-          .hSet(
-            'tokens',
-            token,
-            JSON.stringify({
-              id: merchant.id,
-              role: 'merchant',
-              exp: moment().add(1, 'hour').valueOf(),
-            })
-          )
-          .then(() => cb(null));
+        tokens.createSession(
+          {
+            id: merchant.id,
+            role: 'merchant',
+            deviceId: inputs.deviceId,
+            device: deviceInfo(req.useragent),
+          },
+          (err, result) => {
+            if (err) return cb(err);
+
+            auth = result;
+            cb(null);
+          }
+        );
       },
     ],
     (err) => {
       if (err) return next(err);
 
       // return merchant
-      res.status(200).json({
-        token,
-      });
+      res.status(200).json(auth);
     }
   );
 }
@@ -343,6 +502,7 @@ function getMerchantProfile(req, res, next) {
 
           const merchant = result.rows[0];
           delete merchant.hashed_password;
+          delete merchant.totp_secret;
           cb(null, merchant);
         });
       },
@@ -472,11 +632,355 @@ function updateMerchantLang(req, res, next) {
   );
 }
 
+// @Public
+function refreshMerchantToken(req, res, next) {
+  async.waterfall(
+    [
+      // validate data
+      (cb) => {
+        const { refreshToken } = req.body;
+        const deviceId = req.headers['x-device-id'];
+
+        const validator = new LIVR.Validator({
+          refreshToken: ['trim', 'string', 'required'],
+          deviceId: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ refreshToken, deviceId });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, validData);
+      },
+      // rotate tokens
+      (inputs, cb) => {
+        tokens.refreshSession(
+          { refreshToken: inputs.refreshToken, role: 'merchant', deviceId: inputs.deviceId },
+          cb
+        );
+      },
+    ],
+    (err, auth) => {
+      if (err) return next(err);
+
+      res.status(200).json(auth);
+    }
+  );
+}
+
+// @Private
+// @Merchant
+function logoutMerchant(req, res, next) {
+  async.waterfall(
+    [
+      // verify merchant
+      (cb) => {
+        verifyToken(req, 'merchant', (err, id, sessionId) => {
+          if (err) return cb(err);
+
+          cb(null, sessionId);
+        });
+      },
+      // end current session
+      (sessionId, cb) => {
+        tokens.endSession(sessionId, cb);
+      },
+      // get success message
+      (cb) => {
+        fetchDB(messagesQuery.get, ['LOGOUT_SUCCESS', acceptsLanguages(req)], (err, result) => {
+          if (err) return cb(err);
+
+          cb(null, result.rows[0]);
+        });
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(message.http_code).json({ success: true, message: message.message });
+    }
+  );
+}
+
+// @Private
+// @Merchant
+function logoutMerchantEverywhere(req, res, next) {
+  async.waterfall(
+    [
+      // verify merchant
+      (cb) => {
+        verifyToken(req, 'merchant', (err, merchantId) => {
+          if (err) return cb(err);
+
+          cb(null, merchantId);
+        });
+      },
+      // end all sessions of this merchant
+      (merchantId, cb) => {
+        tokens.endAllSessions('merchant', merchantId, null, cb);
+      },
+      // get success message
+      (cb) => {
+        fetchDB(
+          messagesQuery.get,
+          ['LOGOUT_ALL_SUCCESS', acceptsLanguages(req)],
+          (err, result) => {
+            if (err) return cb(err);
+
+            cb(null, result.rows[0]);
+          }
+        );
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(message.http_code).json({ success: true, message: message.message });
+    }
+  );
+}
+
+// @Public
+function requestPasswordReset(req, res, next) {
+  let inputs, limiter;
+
+  async.waterfall(
+    [
+      // validate data
+      (cb) => {
+        const { email } = req.body;
+        const deviceId = req.headers['x-device-id'];
+
+        const validator = new LIVR.Validator({
+          email: ['trim', 'email', 'required'],
+          deviceId: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({
+          email: email && email.toLowerCase(),
+          deviceId,
+        });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // check if merchant exists
+      (cb) => {
+        fetchDB(merchantsQuery.getOneByEmail, [inputs.email], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          cb(null);
+        });
+      },
+      // check if sending code is not blocked
+      (cb) => {
+        limiter = new Limiter('email_limiter', inputs.deviceId);
+        limiter.getStatus((err, status) => {
+          if (err) return cb(err);
+
+          const { isBlocked, timeLeft } = status;
+          if (isBlocked) return cb(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          cb(null);
+        });
+      },
+      // send email
+      (cb) => {
+        const code = Math.floor(100000 + Math.random() * 900000);
+        emailer
+          .sendPasswordReset(inputs.email, code)
+          .then(() => cb(null, code))
+          .catch(cb);
+      },
+      // record attempt
+      (code, cb) => {
+        const limiterCb = ({ error }) => {
+          if (error) return cb(error);
+
+          cb(null, code);
+        };
+
+        limiter.record(true, limiterCb);
+      },
+      // save code
+      (code, cb) => {
+        const value = {
+          code,
+          email: inputs.email,
+          purpose: 'password_reset',
+          exp: moment().add(5, 'minutes').valueOf(),
+          tries: 0,
+        };
+
+        redis.hSet('merchant_otp', inputs.deviceId, JSON.stringify(value), (err) => {
+          if (err) return cb(err);
+          cb(null);
+        });
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        timeLeft: 120,
+      });
+    }
+  );
+}
+
+// @Public
+function confirmPasswordReset(req, res, next) {
+  let inputs, merchant, limiter;
+
+  async.waterfall(
+    [
+      // validate data
+      (cb) => {
+        const { email, otp, password } = req.body;
+        const deviceId = req.headers['x-device-id'];
+
+        const validator = new LIVR.Validator({
+          email: ['trim', 'email', 'required'],
+          otp: ['trim', 'required'],
+          password: ['trim', 'required', { min_length: 7 }, 'alphanumeric'],
+          deviceId: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({
+          email: email && email.toLowerCase(),
+          otp,
+          password,
+          deviceId,
+        });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // get merchant
+      (cb) => {
+        fetchDB(merchantsQuery.getOneByEmail, [inputs.email], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          merchant = result.rows[0];
+          cb(null);
+        });
+      },
+      // check if resetting is not blocked
+      (cb) => {
+        limiter = new Limiter('merchant_reset_limiter', inputs.deviceId);
+        limiter.getStatus((err, status) => {
+          if (err) return cb(err);
+
+          const { isBlocked, timeLeft } = status;
+          if (isBlocked) return cb(new CustomError('USER_BLOCKED', null, { timeLeft }));
+
+          cb(null);
+        });
+      },
+      // check if code is correct
+      (cb) => {
+        redis.hGet('merchant_otp', inputs.deviceId, (err, details) => {
+          if (err) return cb(err);
+          const detailsObject = JSON.parse(details || '{}');
+          const expired = moment().isAfter(moment(detailsObject.exp));
+          const tooManyTries = detailsObject.tries >= 3;
+          const sameEmail = detailsObject.email === inputs.email;
+          const samePurpose = detailsObject.purpose === 'password_reset';
+          const sameCode = detailsObject.code === parseInt(inputs.otp);
+
+          if (!details || tooManyTries || !sameCode || !sameEmail || !samePurpose || expired) {
+            detailsObject.tries += 1;
+            redis.hSet('merchant_otp', inputs.deviceId, JSON.stringify(detailsObject));
+
+            if (tooManyTries || detailsObject.tries >= 3) return cb(null, 'TOO_MANY_TRIES');
+            if (expired) return cb(null, 'EXPIRED_OTP');
+            return cb(null, 'WRONG_OTP');
+          }
+
+          // code is one-time
+          redis.hDel('merchant_otp', inputs.deviceId);
+          cb(null, null);
+        });
+      },
+      // record attempt
+      (errorCode, cb) => {
+        const increaseAttempt = errorCode ? true : false;
+
+        const limiterCb = ({ error, canTryAgain, timeLeft }) => {
+          if (!errorCode) return cb(null);
+
+          if (error) return cb(error);
+          if (!canTryAgain) return cb(new CustomError('USER_BLOCKED', null, { timeLeft }));
+
+          cb(new CustomError(errorCode));
+        };
+
+        limiter.record(increaseAttempt, limiterCb);
+      },
+      // update password
+      (cb) => {
+        const hashedPassword = bcrypt.hashSync(inputs.password, 10);
+
+        fetchDB(merchantsQuery.updatePassword, [hashedPassword, merchant.id], (err, result) => {
+          if (err) return cb(err);
+
+          const message = result.rows[0].message[acceptsLanguages(req)];
+          cb(null, message);
+        });
+      },
+      // end all sessions
+      (message, cb) => {
+        tokens.endAllSessions('merchant', merchant.id, null, (err) => {
+          if (err) return cb(err);
+
+          cb(null, message);
+        });
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+// @Helper
+// checks authenticator code, or one of unused backup codes which is then spent
+function verifyTotpOrBackupCode(merchant, code, cb) {
+  if (totp.verify(merchant.totp_secret, code)) return cb(null, true);
+
+  fetchDB(merchantsQuery.getBackupCodes, [merchant.id], (err, result) => {
+    if (err) return cb(err);
+
+    const backupCode = result.rows.find((row) => bcrypt.compareSync(code, row.hashed_code));
+    if (!backupCode) return cb(null, false);
+
+    fetchDB(merchantsQuery.useBackupCode, [backupCode.id], (err, result) => {
+      if (err) return cb(err);
+      cb(null, result.rowCount > 0);
+    });
+  });
+}
+
 module.exports = {
   registerMerchant,
+  getMerchantLoginType,
   loginMerchant,
   updateMerchant,
   getMerchantProfile,
   updateMerchantLang,
   sendCodeToEmail,
+  refreshMerchantToken,
+  logoutMerchant,
+  logoutMerchantEverywhere,
+  requestPasswordReset,
+  confirmPasswordReset,
 };
@@ -0,0 +1,407 @@
+const async = require('async');
+const io = require('../socket/socket');
+const { customerRoom } = require('../socket/rooms');
+const verifyToken = require('../middleware/verifyToken');
+const LIVR = require('../utils/livr');
+const fetchDB = require('../postgres');
+const ValidationError = require('../errors/ValidationError');
+const CustomError = require('../errors/CustomError');
+const { moneyRequestsQuery, customersQuery } = require('../postgres/queries');
+const acceptsLanguages = require('../utils/acceptsLanguages');
+const { confirmTransaction, deleteTransactionCode } = require('./transaction');
+
+const MONEY_REQUEST_TTL_DAYS = 7;
+
+// @Private
+// @Customer
+function createMoneyRequest(req, res, next) {
+  let customerId, inputs;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data, money goes to primary card if card is not given
+      (cb) => {
+        const { phone, amount, cardId, note } = req.body;
+
+        const validator = new LIVR.Validator({
+          phone: ['trim', 'required', 'is_phone_number'],
+          amount: ['required', 'positive_integer'],
+          cardId: ['trim', 'string'],
+          note: ['trim', 'string', { max_length: 256 }],
+        });
+
+        const validData = validator.validate({ phone, amount, cardId, note });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // find payer
+      (cb) => {
+        fetchDB(customersQuery.getOneByPhone, [inputs.phone], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          const payer = result.rows[0];
+          if (payer.id === customerId) return cb(new CustomError('MONEY_REQUEST_TO_SELF'));
+
+          cb(null, payer.id);
+        });
+      },
+      // save request
+      (payerId, cb) => {
+        fetchDB(
+          moneyRequestsQuery.create,
+          [
+            customerId,
+            payerId,
+            inputs.cardId || null,
+            inputs.amount,
+            inputs.note || null,
+            MONEY_REQUEST_TTL_DAYS,
+          ],
+          (err, result) => {
+            if (err) return cb(err);
+            if (result.rowCount === 0) return cb(new CustomError('CARD_NOT_FOUND'));
+
+            const { id, message } = result.rows[0];
+            cb(null, id, message[acceptsLanguages(req)]);
+          }
+        );
+      },
+    ],
+    (err, id, message) => {
+      if (err) return next(err);
+
+      notifyMoneyRequest(id);
+
+      res.status(201).json({
+        success: true,
+        id,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function getMoneyRequests(req, res, next) {
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, customerId) => {
+          if (err) return cb(err);
+          cb(null, customerId);
+        });
+      },
+      // get incoming and outgoing requests
+      (customerId, cb) => {
+        fetchDB(moneyRequestsQuery.getAllByCustomer, [customerId], (err, result) => {
+          if (err) return cb(err);
+          cb(null, result.rowCount, result.rows);
+        });
+      },
+    ],
+    (err, count, requests) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        count,
+        requests,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function payMoneyRequest(req, res, next) {
+  let customerId, inputs;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { id, fromCardId, pin, otp } = req.body;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+          fromCardId: ['trim', 'string', 'required'],
+          pin: ['trim', 'string'],
+          otp: ['trim', 'string'],
+        });
+
+        const validData = validator.validate({
+          id,
+          fromCardId,
+          pin,
+          otp,
+        });
+
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // get request
+      (cb) => {
+        fetchDB(moneyRequestsQuery.getForPayer, [inputs.id, customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('MONEY_REQUEST_NOT_FOUND'));
+
+          const request = result.rows[0];
+          if (request.status !== 'pending') return cb(new CustomError('MONEY_REQUEST_NOT_PENDING'));
+
+          inputs.amount = request.amount;
+          cb(null);
+        });
+      },
+      // confirm transaction
+      (cb) => {
+        confirmTransaction(customerId, { ...inputs, recipient: inputs.id }, cb);
+      },
+      // transfer money and mark request as paid
+      (cb) => {
+        fetchDB(
+          moneyRequestsQuery.pay,
+          [inputs.id, customerId, inputs.fromCardId],
+          (err, result) => {
+            if (err) return cb(err);
+
+            const { error_code, error_message, transfer_id, success_message } = result.rows[0];
+
+            if (error_code) return cb(new CustomError(error_code, error_message));
+
+            const message = success_message[acceptsLanguages(req)];
+            cb(null, transfer_id, message);
+          }
+        );
+      },
+    ],
+    (err, transfer_id, message) => {
+      if (err) return next(err);
+
+      deleteTransactionCode(customerId, inputs);
+
+      notifyMoneyRequest(inputs.id);
+
+      res.status(200).json({ success: true, transfer_id, message });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function declineMoneyRequest(req, res, next) {
+  changeMoneyRequestStatus(req, res, next, 'payer', moneyRequestsQuery.decline);
+}
+
+// @Private
+// @Customer
+function cancelMoneyRequest(req, res, next) {
+  changeMoneyRequestStatus(req, res, next, 'requester', moneyRequestsQuery.cancel);
+}
+
+// @Private
+// @Customer
+function createBillSplit(req, res, next) {
+  let customerId, inputs;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data, shares are equal if no amounts are given
+      (cb) => {
+        const { paymentId, cardId, participants } = req.body;
+
+        const validator = new LIVR.Validator({
+          paymentId: ['trim', 'string', 'required'],
+          cardId: ['trim', 'string'],
+          participants: [
+            'required',
+            {
+              list_of_objects: {
+                phone: ['trim', 'required', 'is_phone_number'],
+                amount: ['positive_integer'],
+              },
+            },
+          ],
+        });
+
+        const validData = validator.validate({ paymentId, cardId, participants });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        const shares = validData.participants;
+        const phones = new Set(shares.map((share) => share.phone));
+        const withAmount = shares.filter((share) => share.amount).length;
+
+        if (shares.length === 0) return cb(new ValidationError({ participants: 'REQUIRED' }));
+        if (phones.size !== shares.length)
+          return cb(new ValidationError({ participants: 'NOT_UNIQUE' }));
+        if (withAmount !== 0 && withAmount !== shares.length)
+          return cb(new ValidationError({ participants: 'AMOUNT_REQUIRED' }));
+
+        inputs = validData;
+        cb(null);
+      },
+      // create split with money requests
+      (cb) => {
+        fetchDB(
+          moneyRequestsQuery.createSplit,
+          [
+            customerId,
+            inputs.paymentId,
+            inputs.cardId || null,
+            JSON.stringify(inputs.participants),
+            MONEY_REQUEST_TTL_DAYS,
+          ],
+          (err, result) => {
+            if (err) return cb(err);
+
+            const { error_code, error_message, split_id, success_message } = result.rows[0];
+
+            if (error_code) return cb(new CustomError(error_code, error_message));
+
+            const message = success_message[acceptsLanguages(req)];
+            cb(null, split_id, message);
+          }
+        );
+      },
+      // let participants know
+      (splitId, message, cb) => {
+        fetchDB(moneyRequestsQuery.getSplitRequests, [splitId], (err, result) => {
+          if (err) return cb(err);
+
+          result.rows.forEach((request) => notifyMoneyRequest(request.id));
+          cb(null, splitId, message);
+        });
+      },
+    ],
+    (err, split_id, message) => {
+      if (err) return next(err);
+
+      res.status(201).json({
+        success: true,
+        split_id,
+        message,
+      });
+    }
+  );
+}
+
+// @Helper
+// runs status query for pending request, if customer is the given side of it
+function changeMoneyRequestStatus(req, res, next, side, QUERY) {
+  let customerId;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { id } = req.body;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ id });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, validData.id);
+      },
+      // check request
+      (id, cb) => {
+        fetchDB(moneyRequestsQuery.getOneById, [id], (err, result) => {
+          if (err) return cb(err);
+
+          const request = result.rows[0];
+          if (!request || request[`${side}_id`] !== customerId)
+            return cb(new CustomError('MONEY_REQUEST_NOT_FOUND'));
+          if (request.status !== 'pending') return cb(new CustomError('MONEY_REQUEST_NOT_PENDING'));
+
+          cb(null, id);
+        });
+      },
+      // change status
+      (id, cb) => {
+        fetchDB(QUERY, [id, customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('MONEY_REQUEST_NOT_PENDING'));
+
+          const message = result.rows[0].message[acceptsLanguages(req)];
+          cb(null, id, message);
+        });
+      },
+    ],
+    (err, id, message) => {
+      if (err) return next(err);
+
+      notifyMoneyRequest(id);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+// @Helper
+// pushes current state of the request to both customers
+function notifyMoneyRequest(id) {
+  fetchDB(moneyRequestsQuery.getOneById, [id], (err, result) => {
+    if (err || result.rowCount === 0) return;
+
+    const { requester_id, payer_id, ...request } = result.rows[0];
+
+    io.to(customerRoom(requester_id)).emit('money_request', { ...request, direction: 'outgoing' });
+    io.to(customerRoom(payer_id)).emit('money_request', { ...request, direction: 'incoming' });
+  });
+}
+
+module.exports = {
+  createMoneyRequest,
+  getMoneyRequests,
+  payMoneyRequest,
+  declineMoneyRequest,
+  cancelMoneyRequest,
+  createBillSplit,
+  notifyMoneyRequest,
+};
@@ -0,0 +1,425 @@
+const async = require('async');
+const verifyToken = require('../middleware/verifyToken');
+const LIVR = require('../utils/livr');
+const fetchDB = require('../postgres');
+const ValidationError = require('../errors/ValidationError');
+const CustomError = require('../errors/CustomError');
+const { scheduledPaymentsQuery, servicesQuery, cardsQuery } = require('../postgres/queries');
+const acceptsLanguages = require('../utils/acceptsLanguages');
+const { confirmTransaction, deleteTransactionCode } = require('./transaction');
+
+const PERIODS = ['daily', 'weekly', 'monthly'];
+
+// @Private
+// @Customer
+function createScheduledPayment(req, res, next) {
+  let customerId, inputs;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data, payment without period is made once
+      (cb) => {
+        const { serviceId, cardId, amount, fields, period, date, pin, otp } = req.body;
+
+        const validator = new LIVR.Validator({
+          serviceId: ['trim', 'required', 'string'],
+          cardId: ['trim', 'required', 'string'],
+          amount: ['required', 'positive_integer'],
+          fields: ['any_object'],
+          period: [{ one_of: PERIODS }],
+          date: ['required', { iso_date: { min: 'current' } }],
+          pin: ['trim', 'string'],
+          otp: ['trim', 'string'],
+        });
+
+        const validData = validator.validate({
+          serviceId,
+          cardId,
+          amount,
+          fields,
+          period,
+          date,
+          pin,
+          otp,
+        });
+
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        inputs.fields = inputs.fields || {};
+        cb(null);
+      },
+      // check card and service
+      (cb) => {
+        checkPaymentDetails(customerId, inputs, acceptsLanguages(req), cb);
+      },
+      // confirm transaction
+      (cb) => {
+        confirmTransaction(
+          customerId,
+          { ...inputs, fromCardId: inputs.cardId, recipient: inputs.serviceId },
+          cb
+        );
+      },
+      // save scheduled payment
+      (cb) => {
+        fetchDB(
+          scheduledPaymentsQuery.create,
+          [
+            customerId,
+            inputs.cardId,
+            inputs.serviceId,
+            inputs.amount,
+            JSON.stringify(inputs.fields),
+            inputs.period || null,
+            inputs.date,
+          ],
+          (err, result) => {
+            if (err) return cb(err);
+
+            const { id, message } = result.rows[0];
+            cb(null, id, message[acceptsLanguages(req)]);
+          }
+        );
+      },
+    ],
+    (err, id, message) => {
+      if (err) return next(err);
+
+      deleteTransactionCode(customerId, inputs);
+
+      res.status(201).json({
+        success: true,
+        id,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function getScheduledPayments(req, res, next) {
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, customerId) => {
+          if (err) return cb(err);
+          cb(null, customerId);
+        });
+      },
+      // get scheduled payments with their last run
+      (customerId, cb) => {
+        fetchDB(scheduledPaymentsQuery.getAllByCustomer, [customerId], (err, result) => {
+          if (err) return cb(err);
+          cb(null, result.rowCount, result.rows);
+        });
+      },
+    ],
+    (err, count, payments) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        count,
+        payments,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function getScheduledPaymentRuns(req, res, next) {
+  let customerId;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { id } = req.params;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ id });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, validData.id);
+      },
+      // check scheduled payment belongs to customer
+      (id, cb) => {
+        fetchDB(scheduledPaymentsQuery.getOneById, [id, customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('SCHEDULED_PAYMENT_NOT_FOUND'));
+
+          cb(null, id);
+        });
+      },
+      // get runs
+      (id, cb) => {
+        fetchDB(scheduledPaymentsQuery.getRuns, [id], (err, result) => {
+          if (err) return cb(err);
+          cb(null, result.rowCount, result.rows);
+        });
+      },
+    ],
+    (err, count, runs) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        count,
+        runs,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function updateScheduledPayment(req, res, next) {
+  let customerId, inputs;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { id, cardId, amount, fields, period, date, pin, otp } = req.body;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'required', 'string'],
+          cardId: ['trim', 'required', 'string'],
+          amount: ['required', 'positive_integer'],
+          fields: ['any_object'],
+          period: [{ one_of: PERIODS }],
+          date: ['required', { iso_date: { min: 'current' } }],
+          pin: ['trim', 'string'],
+          otp: ['trim', 'string'],
+        });
+
+        const validData = validator.validate({
+          id,
+          cardId,
+          amount,
+          fields,
+          period,
+          date,
+          pin,
+          otp,
+        });
+
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        inputs.fields = inputs.fields || {};
+        cb(null);
+      },
+      // get scheduled payment
+      (cb) => {
+        fetchDB(scheduledPaymentsQuery.getOneById, [inputs.id, customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('SCHEDULED_PAYMENT_NOT_FOUND'));
+
+          inputs.serviceId = result.rows[0].service_id;
+          cb(null);
+        });
+      },
+      // check card and service
+      (cb) => {
+        checkPaymentDetails(customerId, inputs, acceptsLanguages(req), cb);
+      },
+      // confirm transaction
+      (cb) => {
+        confirmTransaction(
+          customerId,
+          { ...inputs, fromCardId: inputs.cardId, recipient: inputs.serviceId },
+          cb
+        );
+      },
+      // update scheduled payment
+      (cb) => {
+        fetchDB(
+          scheduledPaymentsQuery.update,
+          [
+            inputs.cardId,
+            inputs.amount,
+            JSON.stringify(inputs.fields),
+            inputs.period || null,
+            inputs.date,
+            inputs.id,
+            customerId,
+          ],
+          (err, result) => {
+            if (err) return cb(err);
+            if (result.rowCount === 0) return cb(new CustomError('SCHEDULED_PAYMENT_NOT_FOUND'));
+
+            const message = result.rows[0].message[acceptsLanguages(req)];
+            cb(null, message);
+          }
+        );
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      deleteTransactionCode(customerId, inputs);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function pauseScheduledPayment(req, res, next) {
+  changeScheduledPaymentStatus(req, res, next, scheduledPaymentsQuery.pause);
+}
+
+// @Private
+// @Customer
+function resumeScheduledPayment(req, res, next) {
+  changeScheduledPaymentStatus(req, res, next, scheduledPaymentsQuery.resume);
+}
+
+// @Private
+// @Customer
+function cancelScheduledPayment(req, res, next) {
+  changeScheduledPaymentStatus(req, res, next, scheduledPaymentsQuery.cancel);
+}
+
+// @Helper
+// runs status query for scheduled payment of the customer
+function changeScheduledPaymentStatus(req, res, next, QUERY) {
+  let customerId;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { id } = req.body;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ id });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, validData.id);
+      },
+      // change status
+      (id, cb) => {
+        fetchDB(QUERY, [id, customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('SCHEDULED_PAYMENT_NOT_FOUND'));
+
+          const message = result.rows[0].message[acceptsLanguages(req)];
+          cb(null, message);
+        });
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+// @Helper
+// checks card of the customer and service, all fields of the service must be given
+function checkPaymentDetails(customerId, inputs, lang, cb) {
+  async.waterfall(
+    [
+      // check card
+      (callback) => {
+        fetchDB(cardsQuery.getOneById, [inputs.cardId, customerId], (err, result) => {
+          if (err) return callback(err);
+          if (result.rowCount === 0) return callback(new CustomError('CARD_NOT_FOUND'));
+
+          callback(null);
+        });
+      },
+      // check service and its fields
+      (callback) => {
+        const { serviceId, fields } = inputs;
+
+        fetchDB(servicesQuery.getOnePublicByIdWithCategory, [serviceId, lang], (err, result) => {
+          if (err) return callback(err);
+          if (result.rowCount === 0) return callback(new CustomError('SERVICE_NOT_FOUND'));
+
+          const serviceFields = result.rows[0].fields || [];
+          const missing = serviceFields.filter((field) => fields[field.id] === undefined);
+
+          if (missing.length > 0) {
+            const errors = {};
+            missing.forEach((field) => (errors[field.id] = 'REQUIRED'));
+            return callback(new ValidationError({ fields: errors }));
+          }
+
+          // keep values of current service fields only
+          const values = {};
+          serviceFields.forEach((field) => (values[field.id] = fields[field.id]));
+          inputs.fields = values;
+
+          callback(null);
+        });
+      },
+    ],
+    cb
+  );
+}
+
+module.exports = {
+  createScheduledPayment,
+  getScheduledPayments,
+  getScheduledPaymentRuns,
+  updateScheduledPayment,
+  pauseScheduledPayment,
+  resumeScheduledPayment,
+  cancelScheduledPayment,
+  checkPaymentDetails,
+};
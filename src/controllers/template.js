@@ -0,0 +1,380 @@
+const async = require('async');
+const verifyToken = require('../middleware/verifyToken');
+const LIVR = require('../utils/livr');
+const fetchDB = require('../postgres');
+const ValidationError = require('../errors/ValidationError');
+const CustomError = require('../errors/CustomError');
+const { templatesQuery, transactionsQuery } = require('../postgres/queries');
+const acceptsLanguages = require('../utils/acceptsLanguages');
+const { confirmTransaction, deleteTransactionCode } = require('./transaction');
+const { checkPaymentDetails } = require('./scheduledPayment');
+
+// @Private
+// @Customer
+function createTemplate(req, res, next) {
+  let customerId, inputs;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data, template is made of past payment or given details
+      (cb) => {
+        const { name, paymentId, serviceId, cardId, amount, fields } = req.body;
+
+        const validator = new LIVR.Validator({
+          name: ['trim', 'string', 'required', { min_length: 2 }, { max_length: 64 }],
+          paymentId: ['trim', 'string'],
+          serviceId: ['trim', 'string'],
+          cardId: ['trim', 'string'],
+          amount: ['positive_integer'],
+          fields: ['any_object'],
+        });
+
+        const validData = validator.validate({
+          name,
+          paymentId,
+          serviceId,
+          cardId,
+          amount,
+          fields,
+        });
+
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+        if (!validData.paymentId && !validData.serviceId)
+          return cb(new ValidationError({ serviceId: 'REQUIRED' }));
+        if (!validData.paymentId && !validData.cardId)
+          return cb(new ValidationError({ cardId: 'REQUIRED' }));
+
+        inputs = validData;
+        inputs.fields = inputs.fields || {};
+        cb(null);
+      },
+      // take details from past payment
+      (cb) => {
+        if (!inputs.paymentId) return cb(null);
+
+        fetchDB(templatesQuery.getPayment, [inputs.paymentId, customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('PAYMENT_NOT_FOUND'));
+
+          const payment = result.rows[0];
+          inputs.serviceId = payment.service_id;
+          inputs.cardId = inputs.cardId || payment.card_id;
+          inputs.amount = inputs.amount || payment.amount;
+          inputs.fields = payment.fields || {};
+          cb(null);
+        });
+      },
+      // check card and service
+      (cb) => {
+        checkPaymentDetails(customerId, inputs, acceptsLanguages(req), cb);
+      },
+      // save template
+      (cb) => {
+        fetchDB(
+          templatesQuery.create,
+          [
+            customerId,
+            inputs.name,
+            inputs.serviceId,
+            inputs.cardId,
+            inputs.amount || null,
+            JSON.stringify(inputs.fields),
+          ],
+          (err, result) => {
+            if (err) return cb(err);
+
+            const { id, message } = result.rows[0];
+            cb(null, id, message[acceptsLanguages(req)]);
+          }
+        );
+      },
+    ],
+    (err, id, message) => {
+      if (err) return next(err);
+
+      res.status(201).json({
+        success: true,
+        id,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function getTemplates(req, res, next) {
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, customerId) => {
+          if (err) return cb(err);
+          cb(null, customerId);
+        });
+      },
+      // get templates
+      (customerId, cb) => {
+        fetchDB(templatesQuery.getAllByCustomer, [customerId], (err, result) => {
+          if (err) return cb(err);
+          cb(null, result.rowCount, result.rows);
+        });
+      },
+    ],
+    (err, count, templates) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        count,
+        templates,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function updateTemplate(req, res, next) {
+  let customerId, inputs;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { id, name, cardId, amount, fields } = req.body;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+          name: ['trim', 'string', 'required', { min_length: 2 }, { max_length: 64 }],
+          cardId: ['trim', 'string', 'required'],
+          amount: ['positive_integer'],
+          fields: ['any_object'],
+        });
+
+        const validData = validator.validate({ id, name, cardId, amount, fields });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // get template, saved field values are kept if new ones are not given
+      (cb) => {
+        fetchDB(templatesQuery.getOneById, [inputs.id, customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('TEMPLATE_NOT_FOUND'));
+
+          const template = result.rows[0];
+          inputs.serviceId = template.service_id;
+          inputs.fields = inputs.fields || template.fields;
+          cb(null);
+        });
+      },
+      // check card and service
+      (cb) => {
+        checkPaymentDetails(customerId, inputs, acceptsLanguages(req), cb);
+      },
+      // update template
+      (cb) => {
+        fetchDB(
+          templatesQuery.update,
+          [
+            inputs.name,
+            inputs.cardId,
+            inputs.amount || null,
+            JSON.stringify(inputs.fields),
+            inputs.id,
+            customerId,
+          ],
+          (err, result) => {
+            if (err) return cb(err);
+            if (result.rowCount === 0) return cb(new CustomError('TEMPLATE_NOT_FOUND'));
+
+            const message = result.rows[0].message[acceptsLanguages(req)];
+            cb(null, message);
+          }
+        );
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function deleteTemplate(req, res, next) {
+  let customerId;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { id } = req.body;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ id });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, validData.id);
+      },
+      // delete template
+      (id, cb) => {
+        fetchDB(templatesQuery.delete, [id, customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('TEMPLATE_NOT_FOUND'));
+
+          const message = result.rows[0].message[acceptsLanguages(req)];
+          cb(null, message);
+        });
+      },
+    ],
+    (err, message) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+// @Private
+// @Customer
+function payFromTemplate(req, res, next) {
+  let customerId, inputs, template;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data, amount is required if template has none
+      (cb) => {
+        const { id, amount, pin, otp } = req.body;
+
+        const validator = new LIVR.Validator({
+          id: ['trim', 'string', 'required'],
+          amount: ['positive_integer'],
+          pin: ['trim', 'string'],
+          otp: ['trim', 'string'],
+        });
+
+        const validData = validator.validate({
+          id,
+          amount,
+          pin,
+          otp,
+        });
+
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // get template
+      (cb) => {
+        fetchDB(templatesQuery.getOneById, [inputs.id, customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('TEMPLATE_NOT_FOUND'));
+
+          template = result.rows[0];
+          if (template.fields_changed) return cb(new CustomError('SERVICE_FIELDS_CHANGED'));
+
+          inputs.amount = inputs.amount || template.amount;
+          if (!inputs.amount) return cb(new ValidationError({ amount: 'REQUIRED' }));
+
+          cb(null);
+        });
+      },
+      // confirm transaction
+      (cb) => {
+        confirmTransaction(
+          customerId,
+          { ...inputs, fromCardId: template.card_id, recipient: template.service_id },
+          cb
+        );
+      },
+      // pay for service
+      (cb) => {
+        fetchDB(
+          transactionsQuery.payForService,
+          [
+            customerId,
+            template.card_id,
+            template.service_id,
+            inputs.amount,
+            JSON.stringify(template.fields),
+          ],
+          (err, result) => {
+            if (err) return cb(err);
+
+            const { error_code, error_message, payment_id, success_message } = result.rows[0];
+
+            if (error_code) return cb(new CustomError(error_code, error_message));
+
+            const message = success_message[acceptsLanguages(req)];
+            cb(null, payment_id, message);
+          }
+        );
+      },
+    ],
+    (err, payment_id, message) => {
+      if (err) return next(err);
+
+      deleteTransactionCode(customerId, inputs);
+
+      res.status(200).json({ success: true, payment_id, message });
+    }
+  );
+}
+
+module.exports = {
+  createTemplate,
+  getTemplates,
+  updateTemplate,
+  deleteTemplate,
+  payFromTemplate,
+};
@@ -0,0 +1,265 @@
+const async = require('async');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const fetchDB = require('../postgres');
+const { merchantsQuery } = require('../postgres/queries');
+const verifyToken = require('../middleware/verifyToken');
+const CustomError = require('../errors/CustomError');
+const ValidationError = require('../errors/ValidationError');
+const LIVR = require('../utils/livr');
+const Limiter = require('../utils/limiter');
+const acceptsLanguages = require('../utils/acceptsLanguages');
+const totp = require('../utils/totp');
+
+const BACKUP_CODES_COUNT = 10;
+
+// @Private
+// @Merchant
+function setupTotp(req, res, next) {
+  let merchant, secret;
+
+  async.waterfall(
+    [
+      // verify merchant
+      (cb) => {
+        verifyToken(req, 'merchant', (err, merchantId) => {
+          if (err) return cb(err);
+          cb(null, merchantId);
+        });
+      },
+      // check if authenticator is not enabled yet
+      (merchantId, cb) => {
+        fetchDB(merchantsQuery.getOneById, [merchantId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          merchant = result.rows[0];
+          if (merchant.totp_enabled) return cb(new CustomError('TOTP_ALREADY_ENABLED'));
+
+          cb(null);
+        });
+      },
+      // save new secret, it is enabled only after confirmation
+      (cb) => {
+        secret = totp.generateSecret();
+
+        fetchDB(merchantsQuery.setTotpSecret, [secret, merchant.id], (err) => {
+          if (err) return cb(err);
+          cb(null);
+        });
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        secret,
+        uri: totp.keyUri(secret, merchant.email),
+      });
+    }
+  );
+}
+
+// @Private
+// @Merchant
+function enableTotp(req, res, next) {
+  let merchant, limiter, message, backupCodes;
+
+  async.waterfall(
+    [
+      // verify merchant
+      (cb) => {
+        verifyToken(req, 'merchant', (err, merchantId) => {
+          if (err) return cb(err);
+          cb(null, merchantId);
+        });
+      },
+      // validate data
+      (merchantId, cb) => {
+        const validator = new LIVR.Validator({
+          code: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ code: req.body.code });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, merchantId, validData.code);
+      },
+      // check if secret is generated
+      (merchantId, code, cb) => {
+        fetchDB(merchantsQuery.getOneById, [merchantId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          merchant = result.rows[0];
+          if (merchant.totp_enabled) return cb(new CustomError('TOTP_ALREADY_ENABLED'));
+          if (!merchant.totp_secret) return cb(new CustomError('TOTP_NOT_SETUP'));
+
+          cb(null, code);
+        });
+      },
+      // check if merchant is not blocked
+      (code, cb) => {
+        limiter = new Limiter('totp_limiter', merchant.id);
+
+        limiter.getStatus((err, status) => {
+          if (err) return cb(err);
+
+          const { isBlocked, timeLeft } = status;
+          if (isBlocked) return cb(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          cb(null, code);
+        });
+      },
+      // check code with attempts limiter
+      (code, cb) => {
+        const isValid = totp.verify(merchant.totp_secret, code);
+
+        const limiterCb = ({ error, canTryAgain, timeLeft }) => {
+          if (isValid) return cb(null);
+
+          if (error) return cb(error);
+          if (!canTryAgain) return cb(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          cb(new CustomError('WRONG_OTP'));
+        };
+
+        limiter.record(!isValid, limiterCb);
+      },
+      // enable authenticator
+      (cb) => {
+        fetchDB(merchantsQuery.enableTotp, [merchant.id], (err, result) => {
+          if (err) return cb(err);
+
+          message = result.rows[0].message[acceptsLanguages(req)];
+          cb(null);
+        });
+      },
+      // replace backup codes
+      (cb) => {
+        fetchDB(merchantsQuery.deleteBackupCodes, [merchant.id], (err) => {
+          if (err) return cb(err);
+
+          backupCodes = [];
+          for (let i = 0; i < BACKUP_CODES_COUNT; i++) {
+            backupCodes.push(crypto.randomBytes(4).toString('hex'));
+          }
+
+          const hashedCodes = backupCodes.map((code) => bcrypt.hashSync(code, 10));
+          fetchDB(merchantsQuery.addBackupCodes, [merchant.id, hashedCodes], (err) => {
+            if (err) return cb(err);
+            cb(null);
+          });
+        });
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+        backupCodes,
+      });
+    }
+  );
+}
+
+// @Private
+// @Merchant
+function disableTotp(req, res, next) {
+  let merchant, limiter, message;
+
+  async.waterfall(
+    [
+      // verify merchant
+      (cb) => {
+        verifyToken(req, 'merchant', (err, merchantId) => {
+          if (err) return cb(err);
+          cb(null, merchantId);
+        });
+      },
+      // validate data
+      (merchantId, cb) => {
+        const validator = new LIVR.Validator({
+          password: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({ password: req.body.password });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        cb(null, merchantId, validData.password);
+      },
+      // check if authenticator is enabled
+      (merchantId, password, cb) => {
+        fetchDB(merchantsQuery.getOneById, [merchantId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          merchant = result.rows[0];
+          if (!merchant.totp_enabled) return cb(new CustomError('TOTP_NOT_SETUP'));
+
+          cb(null, password);
+        });
+      },
+      // check if merchant is not blocked, password is guessed with session of the merchant
+      (password, cb) => {
+        limiter = new Limiter('password_limiter', merchant.id);
+
+        limiter.getStatus((err, status) => {
+          if (err) return cb(err);
+
+          const { isBlocked, timeLeft } = status;
+          if (isBlocked) return cb(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          cb(null, password);
+        });
+      },
+      // check password with attempts limiter
+      (password, cb) => {
+        const passwordIsCorrect = bcrypt.compareSync(password, merchant.hashed_password);
+
+        const limiterCb = ({ error, canTryAgain, timeLeft }) => {
+          if (passwordIsCorrect) return cb(null);
+
+          if (error) return cb(error);
+          if (!canTryAgain) return cb(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          cb(new CustomError('WRONG_PASSWORD'));
+        };
+
+        limiter.record(!passwordIsCorrect, limiterCb);
+      },
+      // disable authenticator
+      (cb) => {
+        fetchDB(merchantsQuery.disableTotp, [merchant.id], (err, result) => {
+          if (err) return cb(err);
+
+          message = result.rows[0].message[acceptsLanguages(req)];
+          cb(null);
+        });
+      },
+      // remove backup codes
+      (cb) => {
+        fetchDB(merchantsQuery.deleteBackupCodes, [merchant.id], (err) => {
+          if (err) return cb(err);
+          cb(null);
+        });
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        message,
+      });
+    }
+  );
+}
+
+module.exports = {
+  setupTotp,
+  enableTotp,
+  disableTotp,
+};
@@ -1,13 +1,24 @@
 const async = require('async');
 const moment = require('moment');
+const bcrypt = require('bcrypt');
+const redis = require('../redis');
 const fileStorage = require('../utils/fileStorageS3');
 const verifyToken = require('../middleware/verifyToken');
 const LIVR = require('../utils/livr');
 const fetchDB = require('../postgres');
 const ValidationError = require('../errors/ValidationError');
 const CustomError = require('../errors/CustomError');
-const { transactionsQuery } = require('../postgres/queries');
+const {
+  transactionsQuery,
+  customersQuery,
+  cardsQuery,
+  moneyRequestsQuery,
+} = require('../postgres/queries');
 const acceptsLanguages = require('../utils/acceptsLanguages');
+const Limiter = require('../utils/limiter');
+const smsService = require('../utils/smsService');
+const panCipher = require('../utils/panCipher');
+const { TRANSACTION_OTP_THRESHOLD } = require('../config/secrets');
 
 // @Private
 // @Customer
@@ -27,13 +38,15 @@ function payForService(req, res, next) {
       },
       // validate data
       (cb) => {
-        const { serviceId, fromCardId, amount, fields } = req.body;
+        const { serviceId, fromCardId, amount, fields, pin, otp } = req.body;
 
         const validator = new LIVR.Validator({
           serviceId: ['trim', 'required', 'string'],
           fromCardId: ['trim', 'required', 'string'],
           amount: ['required', 'integer', { min_number: 1 }],
           fields: ['any_object'],
+          pin: ['trim', 'string'],
+          otp: ['trim', 'string'],
         });
 
         const validData = validator.validate({
@@ -41,6 +54,8 @@ function payForService(req, res, next) {
           fromCardId,
           amount: Math.abs(amount),
           fields,
+          pin,
+          otp,
         });
 
         if (!validData) return cb(new ValidationError(validator.getErrors()));
@@ -48,6 +63,10 @@ function payForService(req, res, next) {
         inputs = validData;
         cb(null);
       },
+      // confirm transaction
+      (cb) => {
+        confirmTransaction(customerId, { ...inputs, recipient: inputs.serviceId }, cb);
+      },
       // pay for service
       (cb) => {
         fetchDB(
@@ -75,6 +94,8 @@ function payForService(req, res, next) {
     (err, payment_id, message) => {
       if (err) return next(err);
 
+      deleteTransactionCode(customerId, inputs);
+
       res.status(200).json({ success: true, payment_id, message });
     }
   );
@@ -98,26 +119,62 @@ function transferMoney(req, res, next) {
       },
       // validate data
       (cb) => {
-        const { toCardPan, fromCardId, amount } = req.body;
+        const { toCardPan, toPhone, fromCardId, amount, pin, otp } = req.body;
 
         const validator = new LIVR.Validator({
           fromCardId: ['trim', 'required', 'string'],
-          toCardPan: ['required', 'valid_pan'],
+          toCardPan: ['valid_pan'],
+          toPhone: ['trim', 'is_phone_number'],
           amount: ['required', 'positive_integer'],
+          pin: ['trim', 'string'],
+          otp: ['trim', 'string'],
         });
 
-        const validData = validator.validate({ toCardPan, fromCardId, amount });
+        const validData = validator.validate({
+          toCardPan,
+          toPhone,
+          fromCardId,
+          amount,
+          pin,
+          otp,
+        });
 
         if (!validData) return cb(new ValidationError(validator.getErrors()));
+        if (!validData.toCardPan && !validData.toPhone)
+          return cb(new ValidationError({ toCardPan: 'REQUIRED' }));
 
         inputs = validData;
         cb(null);
       },
+      // find recipient card by its number, or default card if phone is given
+      (cb) => {
+        if (inputs.toCardPan) {
+          inputs.toCardHash = panCipher.hash(inputs.toCardPan);
+          return cb(null);
+        }
+
+        fetchDB(cardsQuery.getDefaultCardByPhone, [inputs.toPhone], (err, result) => {
+          if (err) return cb(err);
+          if (result.rowCount === 0) return cb(new CustomError('USER_NOT_FOUND'));
+          if (!result.rows[0].pan_hash) return cb(new CustomError('RECIPIENT_HAS_NO_CARD'));
+
+          inputs.toCardHash = result.rows[0].pan_hash;
+          cb(null);
+        });
+      },
+      // confirm transaction
+      (cb) => {
+        confirmTransaction(
+          customerId,
+          { ...inputs, recipient: inputs.toCardPan || inputs.toPhone },
+          cb
+        );
+      },
       // transfer money
       (cb) => {
         fetchDB(
           transactionsQuery.transferMoney,
-          [customerId, inputs.fromCardId, inputs.toCardPan, inputs.amount],
+          [customerId, inputs.fromCardId, inputs.toCardHash, inputs.amount],
           (err, result) => {
             if (err) return cb(err);
 
@@ -134,6 +191,8 @@ function transferMoney(req, res, next) {
     (err, transfer_id, message) => {
       if (err) return next(err);
 
+      deleteTransactionCode(customerId, inputs);
+
       res.status(200).json({ success: true, transfer_id, message });
     }
   );
@@ -157,15 +216,23 @@ function transferMoneyToSelf(req, res, next) {
       },
       // validate data
       (cb) => {
-        const { fromCardId, toCardId, amount } = req.body;
+        const { fromCardId, toCardId, amount, pin, otp } = req.body;
 
         const validator = new LIVR.Validator({
           fromCardId: ['trim', 'required', 'string'],
           toCardId: ['trim', 'required', 'string'],
           amount: ['required', 'positive_integer'],
+          pin: ['trim', 'string'],
+          otp: ['trim', 'string'],
         });
 
-        const validData = validator.validate({ fromCardId, toCardId, amount });
+        const validData = validator.validate({
+          fromCardId,
+          toCardId,
+          amount,
+          pin,
+          otp,
+        });
 
         if (!validData) return cb(new ValidationError(validator.getErrors()));
 
@@ -174,6 +241,10 @@ function transferMoneyToSelf(req, res, next) {
         inputs = validData;
         cb(null);
       },
+      // confirm transaction
+      (cb) => {
+        confirmTransaction(customerId, { ...inputs, recipient: inputs.toCardId }, cb);
+      },
       // transfer money
       (cb) => {
         fetchDB(
@@ -195,6 +266,8 @@ function transferMoneyToSelf(req, res, next) {
     (err, transfer_id, message) => {
       if (err) return next(err);
 
+      deleteTransactionCode(customerId, inputs);
+
       res.status(200).json({ success: true, transfer_id, message });
     }
   );
@@ -321,7 +394,7 @@ function getOneTransaction(req, res, next) {
 
         const validator = new LIVR.Validator({
           transactionId: ['trim', 'required', 'string'],
-          type: ['trim', 'required', 'string', { one_of: ['payment', 'transfer'] }],
+          type: ['trim', 'required', 'string', { one_of: ['payment', 'transfer', 'refund'] }],
         });
 
         const validData = validator.validate({ transactionId, type });
@@ -354,6 +427,21 @@ function getOneTransaction(req, res, next) {
           }
         );
       },
+      // get split of the payment with paid progress
+      (cb) => {
+        if (inputs.type !== 'payment' || transaction.type !== 'expense') return cb(null);
+
+        fetchDB(
+          moneyRequestsQuery.getSplitByPayment,
+          [transaction.id, customerId],
+          (err, result) => {
+            if (err) return cb(err);
+
+            transaction.split = result.rows[0] || null;
+            cb(null);
+          }
+        );
+      },
     ],
     (err) => {
       if (err) return next(err);
@@ -363,10 +451,300 @@ function getOneTransaction(req, res, next) {
   );
 }
 
+// @Private
+// @Customer
+function sendCodeForTransaction(req, res, next) {
+  let customerId, inputs, customer, limiter;
+
+  async.waterfall(
+    [
+      // verify customer
+      (cb) => {
+        verifyToken(req, 'customer', (err, id) => {
+          if (err) return cb(err);
+
+          customerId = id;
+          cb(null);
+        });
+      },
+      // validate data, recipient is service id for payments, card number or phone for transfers,
+      // own card id for transfers between own cards and request id for money requests
+      (cb) => {
+        const { amount, fromCardId, recipient } = req.body;
+
+        const validator = new LIVR.Validator({
+          amount: ['required', 'positive_integer'],
+          fromCardId: ['trim', 'string', 'required'],
+          recipient: ['trim', 'string', 'required'],
+          deviceId: ['trim', 'string', 'required'],
+        });
+
+        const validData = validator.validate({
+          amount,
+          fromCardId,
+          recipient,
+          deviceId: req.headers['x-device-id'],
+        });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // get customer
+      (cb) => {
+        fetchDB(customersQuery.getOneById, [customerId], (err, result) => {
+          if (err) return cb(err);
+          if (result.rows.length === 0) return cb(new CustomError('USER_NOT_FOUND'));
+
+          customer = result.rows[0];
+          cb(null);
+        });
+      },
+      // check if sending code is not blocked
+      (cb) => {
+        limiter = new Limiter('sms_limiter', inputs.deviceId);
+        limiter.getStatus((err, status) => {
+          if (err) return cb(err);
+
+          const { isBlocked, timeLeft } = status;
+          if (isBlocked) return cb(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          cb(null);
+        });
+      },
+      // send code
+      (cb) => {
+        const code = Math.floor(100000 + Math.random() * 900000);
+        smsService
+          .sendVerification(customer.phone, code)
+          .then(() => cb(null, code))
+          .catch(cb);
+      },
+      // record attempt
+      (code, cb) => {
+        const limiterCb = ({ error }) => {
+          if (error) return cb(error);
+
+          cb(null, code);
+        };
+
+        limiter.record(true, limiterCb);
+      },
+      // save code, it confirms only the same transaction from any device of customer,
+      // recipient is kept hashed as it can be a card number
+      (code, cb) => {
+        const value = {
+          code,
+          customerId,
+          amount: inputs.amount,
+          cardId: inputs.fromCardId,
+          recipient: panCipher.hash(inputs.recipient),
+          purpose: 'transaction',
+          exp: moment().add(3, 'minutes').valueOf(),
+        };
+
+        redis.hSet('transaction_otp', customerId, JSON.stringify(value), (err) => {
+          if (err) return cb(err);
+          cb(null);
+        });
+      },
+    ],
+    (err) => {
+      if (err) return next(err);
+
+      res.status(200).json({
+        success: true,
+        timeLeft: 120,
+      });
+    }
+  );
+}
+
+// @Private
+// @Merchant
+function refundPayment(req, res, next) {
+  let merchantId, inputs;
+
+  async.waterfall(
+    [
+      // verify merchant
+      (cb) => {
+        verifyToken(req, 'merchant', (err, id) => {
+          if (err) return cb(err);
+
+          merchantId = id;
+          cb(null);
+        });
+      },
+      // validate data
+      (cb) => {
+        const { paymentId, amount, reason } = req.body;
+
+        const validator = new LIVR.Validator({
+          paymentId: ['trim', 'required', 'string'],
+          amount: ['positive_integer'],
+          reason: ['trim', 'string', { max_length: 256 }],
+        });
+
+        const validData = validator.validate({ paymentId, amount, reason });
+        if (!validData) return cb(new ValidationError(validator.getErrors()));
+
+        inputs = validData;
+        cb(null);
+      },
+      // refund full or partial amount of payment
+      (cb) => {
+        fetchDB(
+          transactionsQuery.refundPayment,
+          [merchantId, inputs.paymentId, inputs.amount || null, inputs.reason || null],
+          (err, result) => {
+            if (err) return cb(err);
+
+            const { error_code, error_message, refund_id, success_message } = result.rows[0];
+
+            if (error_code) return cb(new CustomError(error_code, error_message));
+
+            const message = success_message[acceptsLanguages(req)];
+            cb(null, refund_id, message);
+          }
+        );
+      },
+    ],
+    (err, refund_id, message) => {
+      if (err) return next(err);
+
+      res.status(200).json({ success: true, refund_id, message });
+    }
+  );
+}
+
+// @Helper
+// checks payment pin, or sms code if amount is above the threshold
+function confirmTransaction(customerId, inputs, cb) {
+  const { amount, pin, otp } = inputs;
+
+  if (amount > TRANSACTION_OTP_THRESHOLD) {
+    if (!otp) return cb(new ValidationError({ otp: 'REQUIRED' }));
+    return checkTransactionCode(customerId, inputs, cb);
+  }
+
+  if (!pin) return cb(new ValidationError({ pin: 'REQUIRED' }));
+
+  const limiter = new Limiter('pin_limiter', customerId);
+
+  async.waterfall(
+    [
+      // check if payments are not blocked
+      (callback) => {
+        limiter.getStatus((err, status) => {
+          if (err) return callback(err);
+
+          const { isBlocked, timeLeft } = status;
+          if (isBlocked) return callback(new CustomError('PIN_BLOCKED', null, { timeLeft }));
+
+          callback(null);
+        });
+      },
+      // get pin
+      (callback) => {
+        fetchDB(customersQuery.getOneById, [customerId], (err, result) => {
+          if (err) return callback(err);
+          if (result.rows.length === 0) return callback(new CustomError('USER_NOT_FOUND'));
+
+          const { hashed_pin } = result.rows[0];
+          if (!hashed_pin) return callback(new CustomError('PIN_NOT_SET'));
+
+          callback(null, hashed_pin);
+        });
+      },
+      // check pin with attempts limiter
+      (hashedPin, callback) => {
+        const pinIsCorrect = bcrypt.compareSync(pin, hashedPin);
+
+        const limiterCb = ({ error, canTryAgain, timeLeft }) => {
+          if (pinIsCorrect) return callback(null);
+
+          if (error) return callback(error);
+          if (!canTryAgain) return callback(new CustomError('PIN_BLOCKED', null, { timeLeft }));
+
+          callback(new CustomError('WRONG_PIN'));
+        };
+
+        limiter.record(!pinIsCorrect, limiterCb);
+      },
+    ],
+    cb
+  );
+}
+
+// @Helper
+// checks sms code sent for the same card, recipient and amount
+function checkTransactionCode(customerId, inputs, cb) {
+  const limiter = new Limiter('transaction_otp_limiter', customerId);
+
+  async.waterfall(
+    [
+      // check if confirming by code is not blocked
+      (callback) => {
+        limiter.getStatus((err, status) => {
+          if (err) return callback(err);
+
+          const { isBlocked, timeLeft } = status;
+          if (isBlocked) return callback(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          callback(null);
+        });
+      },
+      // get code
+      (callback) => {
+        redis.hGet('transaction_otp', customerId, (err, details) => {
+          if (err) return callback(err);
+          callback(null, JSON.parse(details || '{}'));
+        });
+      },
+      // check code with attempts limiter, it is kept until transaction is made
+      (details, callback) => {
+        if (details.exp && moment().isAfter(moment(details.exp)))
+          return callback(new CustomError('EXPIRED_OTP'));
+
+        const sameTransaction =
+          details.purpose === 'transaction' &&
+          details.customerId === customerId &&
+          Number(details.amount) === Number(inputs.amount) &&
+          details.cardId === inputs.fromCardId &&
+          details.recipient === panCipher.hash(String(inputs.recipient));
+        const isValid = sameTransaction && details.code === parseInt(inputs.otp);
+
+        const limiterCb = ({ error, canTryAgain, timeLeft }) => {
+          if (isValid) return callback(null);
+
+          if (error) return callback(error);
+          if (!canTryAgain) return callback(new CustomError('TRY_AGAIN_AFTER', null, { timeLeft }));
+
+          callback(new CustomError('WRONG_OTP'));
+        };
+
+        limiter.record(!isValid, limiterCb);
+      },
+    ],
+    cb
+  );
+}
+
+// @Helper
+// deletes sms code once transaction confirmed by it is made
+function deleteTransactionCode(customerId, inputs) {
+  if (inputs.amount > TRANSACTION_OTP_THRESHOLD) redis.hDel('transaction_otp', customerId);
+}
+
 module.exports = {
   payForService,
   transferMoney,
   transferMoneyToSelf,
   getTransactions,
   getOneTransaction,
+  sendCodeForTransaction,
+  refundPayment,
+  confirmTransaction,
+  deleteTransactionCode,
 };
@@ -1,6 +1,10 @@
 const http = require('http');
 const app = require('./server');
 const io = require('./socket/socket');
+const cardExpiryReminder = require('./jobs/cardExpiryReminder');
+const scheduledPayments = require('./jobs/scheduledPayments');
+const moneyRequests = require('./jobs/moneyRequests');
+const dataExports = require('./jobs/dataExports');
 const { PORT } = require('./config/secrets');
 
 const server = http.createServer(app);
@@ -9,4 +13,8 @@ io.attach(server);
 const port = PORT || 3000;
 server.listen(port, () => {
   console.log(`Example app listening on port ${port}`);
+  cardExpiryReminder.start();
+  scheduledPayments.start();
+  moneyRequests.start();
+  dataExports.start();
 });
@@ -0,0 +1,65 @@
+const async = require('async');
+const fetchDB = require('../postgres');
+const { cardsQuery } = require('../postgres/queries');
+const smsService = require('../utils/smsService');
+
+// customers are reminded this many days before card expires
+const FIRST_REMINDER_DAYS = 30;
+const LAST_REMINDER_DAYS = 7;
+const CHECK_INTERVAL = 60 * 60 * 1000;
+
+// sends sms to owners of expiring cards, each reminder is sent once per expiry date
+function sendExpiryReminders(cb) {
+  async.waterfall(
+    [
+      // get cards to remind about
+      (cb) => {
+        const params = [FIRST_REMINDER_DAYS, LAST_REMINDER_DAYS];
+
+        fetchDB(cardsQuery.getExpiring, params, (err, result) => {
+          if (err) return cb(err);
+          cb(null, result.rows);
+        });
+      },
+      // save reminder first, so it is not sent twice by another instance
+      (cards, cb) => {
+        async.eachSeries(
+          cards,
+          (card, next) => {
+            const { id, expiry_month, expiry_year, days_before } = card;
+
+            fetchDB(
+              cardsQuery.addExpiryReminder,
+              [id, expiry_month, expiry_year, days_before],
+              (err, result) => {
+                if (err) return next(err);
+                if (result.rows.length === 0) return next(null);
+
+                smsService
+                  .sendCardExpiryReminder(card.phone, card.pan, card.days_left)
+                  .catch((error) => console.error(error));
+
+                next(null);
+              }
+            );
+          },
+          cb
+        );
+      },
+    ],
+    (err) => {
+      if (err) console.error(err);
+      if (cb) cb(err);
+    }
+  );
+}
+
+function start() {
+  sendExpiryReminders();
+  return setInterval(sendExpiryReminders, CHECK_INTERVAL);
+}
+
+module.exports = {
+  sendExpiryReminders,
+  start,
+};
@@ -0,0 +1,21 @@
+const { deleteExpiredExports } = require('../controllers/export');
+
+const CHECK_INTERVAL = 60 * 60 * 1000;
+
+// removes export archives from storage once their download links have expired
+function cleanUpExports(cb) {
+  deleteExpiredExports((err) => {
+    if (err) console.error(err);
+    if (cb) cb(err);
+  });
+}
+
+function start() {
+  cleanUpExports();
+  return setInterval(cleanUpExports, CHECK_INTERVAL);
+}
+
+module.exports = {
+  cleanUpExports,
+  start,
+};
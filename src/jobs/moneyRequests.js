@@ -0,0 +1,29 @@
+const fetchDB = require('../postgres');
+const { moneyRequestsQuery } = require('../postgres/queries');
+const { notifyMoneyRequest } = require('../controllers/moneyRequest');
+
+const CHECK_INTERVAL = 60 * 1000;
+
+// marks outdated pending requests as expired and lets both customers know
+function expireMoneyRequests(cb) {
+  fetchDB(moneyRequestsQuery.expire, [], (err, result) => {
+    if (err) {
+      console.error(err);
+      if (cb) cb(err);
+      return;
+    }
+
+    result.rows.forEach((request) => notifyMoneyRequest(request.id));
+    if (cb) cb(null);
+  });
+}
+
+function start() {
+  expireMoneyRequests();
+  return setInterval(expireMoneyRequests, CHECK_INTERVAL);
+}
+
+module.exports = {
+  expireMoneyRequests,
+  start,
+};
@@ -0,0 +1,74 @@
+const async = require('async');
+const fetchDB = require('../postgres');
+const { scheduledPaymentsQuery } = require('../postgres/queries');
+
+const BATCH_SIZE = 100;
+const CHECK_INTERVAL = 60 * 1000;
+
+// payment is retried this many times when card has not enough money
+const MAX_RETRIES = 3;
+const RETRY_AFTER_MINUTES = 6 * 60;
+
+let running = false;
+
+// makes payments that are due and saves result of each run
+function runDuePayments(cb) {
+  // previous check is still paying
+  if (running) {
+    if (cb) cb(null);
+    return;
+  }
+  running = true;
+
+  async.waterfall(
+    [
+      // take due payments
+      (cb) => {
+        fetchDB(scheduledPaymentsQuery.takeDue, [BATCH_SIZE], (err, result) => {
+          if (err) return cb(err);
+          cb(null, result.rows);
+        });
+      },
+      // pay one by one
+      (payments, cb) => {
+        async.eachSeries(payments, runPayment, cb);
+      },
+    ],
+    (err) => {
+      running = false;
+
+      if (err) console.error(err);
+      if (cb) cb(err);
+    }
+  );
+}
+
+// payment, its run and the next date are saved at once, so it is never paid twice,
+// taken payment is released after a while, so database errors are retried by the next check
+function runPayment(payment, cb) {
+  fetchDB(
+    scheduledPaymentsQuery.run,
+    [payment.id, MAX_RETRIES, RETRY_AFTER_MINUTES],
+    (err, result) => {
+      if (err) {
+        console.error(err);
+        return cb(null);
+      }
+
+      const { error_code, error_message } = result.rows[0];
+      if (error_code) console.error(error_code, error_message);
+
+      cb(null);
+    }
+  );
+}
+
+function start() {
+  runDuePayments();
+  return setInterval(runDuePayments, CHECK_INTERVAL);
+}
+
+module.exports = {
+  runDuePayments,
+  start,
+};
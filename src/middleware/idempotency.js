@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const redis = require('../redis');
+const verifyToken = require('./verifyToken');
+const CustomError = require('../errors/CustomError');
+const ValidationError = require('../errors/ValidationError');
+
+// lifetimes in seconds, responses are replayed for repeated keys within the window
+const IDEMPOTENCY_TTL = 24 * 60 * 60;
+const PENDING_TTL = 60;
+
+const idempotencyKey = (ownerId, key) => `idempotency:${ownerId}:${key}`;
+
+// confirmation codes are not a part of the request itself
+const fingerprint = (req) => {
+  const { pin, otp, ...body } = req.body || {};
+  const payload = JSON.stringify([req.method, req.baseUrl + req.path, body]);
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+// replays saved response when request is repeated with the same Idempotency-Key header,
+// requests without the header are passed as is
+const idempotency = (role) => (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+  if (!key) return next();
+  if (key.length > 64) return next(new ValidationError({ idempotencyKey: 'TOO_LONG' }));
+
+  verifyToken(req, role, async (err, ownerId) => {
+    // let controller respond with the token error
+    if (err) return next();
+
+    const redisKey = idempotencyKey(ownerId, key);
+    const hash = fingerprint(req);
+
+    // reserve key for this request
+    const reserved = await redis.setNX(
+      redisKey,
+      JSON.stringify({ hash, status: 'pending' }),
+      PENDING_TTL
+    );
+
+    if (!reserved) {
+      const saved = JSON.parse((await redis.get(redisKey)) || 'null');
+      if (!saved) return next();
+
+      if (saved.hash !== hash) return next(new CustomError('IDEMPOTENCY_KEY_REUSED'));
+      if (saved.status === 'pending') return next(new CustomError('REQUEST_IN_PROGRESS'));
+
+      return res.status(saved.response.status).json(saved.response.body);
+    }
+
+    // save successful response, failed request can be retried with the same key
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 400) {
+        const value = { hash, status: 'done', response: { status: res.statusCode, body } };
+        redis.set(redisKey, JSON.stringify(value), IDEMPOTENCY_TTL);
+      } else {
+        redis.del(redisKey);
+      }
+
+      return json(body);
+    };
+
+    next();
+  });
+};
+
+module.exports = idempotency;
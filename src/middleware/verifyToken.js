@@ -1,5 +1,5 @@
 const moment = require('moment');
-const redis = require('../redis');
+const sessionStore = require('../utils/sessionStore');
 const CustomError = require('../errors/CustomError');
 
 async function verifyToken(req, role, cb) {
@@ -7,8 +7,7 @@ async function verifyToken(req, role, cb) {
   if (!token) return cb(new CustomError('MISSING_TOKEN'));
 
   // check if token exists in redis
-  const res = await redis.hGet('tokens', token);
-  const details = res ? JSON.parse(res) : null;
+  const details = await sessionStore.getToken(token);
   if (!details) return cb(new CustomError('INVALID_TOKEN'));
 
   // check if token is expired
@@ -17,7 +16,7 @@ async function verifyToken(req, role, cb) {
   // check if token role matches required role
   if (details.role !== role) return cb(new CustomError('NOT_ALLOWED'));
 
-  return cb(null, details.id);
+  return cb(null, details.id, details.session);
 }
 
 module.exports = verifyToken;
@@ -3,13 +3,15 @@ create extension if not exists "uuid-ossp";
 create table if not exists customer(
   id uuid primary key default uuid_generate_v4(),
   name varchar(64) not null,
-  phone varchar(12) not null unique,
+  phone varchar(12) unique, -- null when account is deleted
   image_url varchar(256),
   hashed_password text not null,
+  hashed_pin text,
   gender varchar(1),
   birth_date date,
   lang varchar(2) not null default 'ru',
-  reg_date timestamp not null default now()
+  reg_date timestamp not null default now(),
+  deleted_at timestamp
 );
 
 create table if not exists customer_card(
@@ -17,13 +19,26 @@ create table if not exists customer_card(
   customer_id uuid not null references customer(id),
   name varchar(64) not null,
   owner_name varchar(64) not null,
-  pan varchar(16) not null unique,
+  pan_encrypted text not null,
+  pan_hash varchar(64) not null, -- keyed hash for lookups
+  pan_masked varchar(16) not null,
   expiry_month varchar(2) not null,
   expiry_year varchar(2) not null,
   balance numeric(12, 2) not null default 1000000,
-  constraint unique_customer_pan unique(customer_id, pan)
+  is_primary boolean not null default false,
+  status varchar(16) not null default 'active' check (status in ('active', 'frozen')),
+  freeze_credits boolean not null default false, -- frozen card also refuses incoming money
+  daily_limit int, -- null means platform default
+  single_limit int,
+  network varchar(16), -- detected from bin when card is added
+  bank varchar(64),
+  created_at timestamp not null default now(),
+  deleted boolean not null default false
 );
 
+-- pan of deleted card can be added again
+create unique index if not exists unique_card_pan on customer_card(pan_hash) where deleted = false;
+
 create table if not exists customer_device(
   id serial primary key,
   customer_id uuid not null references customer(id),
@@ -47,9 +62,27 @@ create table if not exists merchant(
   hashed_password text not null,
   lang varchar(2) not null default 'ru',
   balance numeric(12, 2) not null default (random() * 3000000),
+  totp_secret varchar(64),
+  totp_enabled boolean not null default false,
   reg_date timestamp not null default now()
 );
 
+create table if not exists merchant_device(
+  id serial primary key,
+  merchant_id uuid not null references merchant(id) on delete cascade,
+  device_id varchar(64) not null,
+  name varchar(128) not null,
+  last_login timestamp not null default now(),
+  constraint unique_merchant_device unique(merchant_id, device_id)
+);
+
+create table if not exists merchant_backup_code(
+  id serial primary key,
+  merchant_id uuid not null references merchant(id) on delete cascade,
+  hashed_code text not null,
+  used_at timestamp
+);
+
 create table if not exists service_category(
   id serial primary key,
   code varchar(64) not null unique,
@@ -85,6 +118,39 @@ create table if not exists customer_saved_service(
   constraint unique_customer_service unique(customer_id, service_id)
 );
 
+create table if not exists card_category_limit(
+  card_id uuid not null references customer_card(id) on delete cascade,
+  category_id int not null references service_category(id),
+  daily_limit int not null,
+  constraint unique_card_category_limit unique(card_id, category_id)
+);
+
+-- reminders sent before card expiry, kept per expiry date so renewed card is reminded again
+create table if not exists card_expiry_reminder(
+  id serial primary key,
+  card_id uuid not null references customer_card(id) on delete cascade,
+  expiry_month varchar(2) not null,
+  expiry_year varchar(2) not null,
+  days_before int not null,
+  created_at timestamp not null default now(),
+  constraint unique_card_expiry_reminder unique(card_id, expiry_month, expiry_year, days_before)
+);
+
+-- issuer ranges by leading digits of pan, longer prefix is more specific
+create table if not exists card_bin(
+  range_start varchar(8) not null,
+  range_end varchar(8) not null, -- same length as range_start
+  network varchar(16) not null,
+  bank varchar(64), -- null when range is of the whole network
+  primary key (range_start, range_end)
+);
+
+-- platform limits for cards without their own, customer ones are for all cards of customer
+create table if not exists default_spending_limit(
+  name varchar(16) primary key, -- daily, single, customer_daily or customer_monthly
+  amount int not null
+);
+
 create table if not exists payment (
   id uuid primary key default uuid_generate_v4(),
   owner_id uuid not null,
@@ -102,12 +168,123 @@ create table if not exists transfer (
   type varchar(16) not null, 
   amount int not null,
   created_at timestamp not null default now(),
-  sender_pan varchar(16),
+  sender_pan varchar(16), -- masked
   sender_id uuid,
-  receiver_pan varchar(16),
+  receiver_pan varchar(16), -- masked
   receiver_id uuid
 );
 
+-- refund rows of both sides are linked to the refunded payment of customer
+create table if not exists refund (
+  id uuid primary key default uuid_generate_v4(),
+  owner_id uuid not null,
+  type varchar(16) not null,
+  amount int not null,
+  created_at timestamp not null default now(),
+  payment_id uuid not null,
+  sender_id uuid not null,
+  receiver_id uuid not null,
+  reason varchar(256)
+);
+
+create index if not exists refund_payment_id on refund(payment_id);
+
+-- payments made by scheduler on behalf of customer, once or every period
+create table if not exists scheduled_payment(
+  id uuid primary key default uuid_generate_v4(),
+  customer_id uuid not null references customer(id),
+  card_id uuid not null references customer_card(id),
+  service_id uuid not null references service(id),
+  amount int not null,
+  fields jsonb not null default '{}',
+  period varchar(16) check (period in ('daily', 'weekly', 'monthly')), -- null for one-off payment
+  next_run_at timestamp not null,
+  retry_at timestamp, -- set while retrying after insufficient funds
+  retries int not null default 0,
+  locked_until timestamp, -- taken by scheduler
+  status varchar(16) not null default 'active'
+    check (status in ('active', 'paused', 'completed', 'failed', 'cancelled')),
+  created_at timestamp not null default now()
+);
+
+create index if not exists scheduled_payment_due on scheduled_payment(next_run_at) where status = 'active';
+
+-- saved payments to repeat, field values are kept by ids of service fields at the time of saving
+create table if not exists payment_template(
+  id uuid primary key default uuid_generate_v4(),
+  customer_id uuid not null references customer(id),
+  name varchar(64) not null,
+  service_id uuid not null references service(id),
+  card_id uuid not null references customer_card(id),
+  amount int, -- asked on payment if not set
+  fields jsonb not null default '{}',
+  created_at timestamp not null default now()
+);
+
+-- fixed amount asked by merchant for service, paid by customers having its public key
+create table if not exists invoice(
+  id uuid primary key default uuid_generate_v4(),
+  merchant_id uuid not null references merchant(id),
+  service_id uuid not null references service(id),
+  amount int not null,
+  fields jsonb not null default '{}', -- prefilled values of service fields
+  description varchar(256),
+  due_date date not null,
+  single_use boolean not null default false,
+  public_key varchar(64) not null unique,
+  created_at timestamp not null default now()
+);
+
+create index if not exists invoice_merchant on invoice(merchant_id);
+
+create table if not exists invoice_payment(
+  id serial primary key,
+  invoice_id uuid not null references invoice(id) on delete cascade,
+  customer_id uuid not null,
+  payment_id uuid not null, -- expense payment of customer
+  created_at timestamp not null default now()
+);
+
+create index if not exists invoice_payment_invoice on invoice_payment(invoice_id);
+
+-- payment shared with other customers, each share is asked by money request
+create table if not exists bill_split(
+  id uuid primary key default uuid_generate_v4(),
+  customer_id uuid not null references customer(id),
+  payment_id uuid not null unique,
+  created_at timestamp not null default now()
+);
+
+-- money asked from another customer, paid by transfer to the card of requester
+create table if not exists money_request(
+  id uuid primary key default uuid_generate_v4(),
+  requester_id uuid not null references customer(id),
+  payer_id uuid not null references customer(id),
+  card_id uuid references customer_card(id) on delete set null,
+  amount int not null,
+  note varchar(256),
+  status varchar(16) not null default 'pending'
+    check (status in ('pending', 'paid', 'declined', 'cancelled', 'expired')),
+  transfer_id uuid, -- expense transfer of payer
+  split_id uuid references bill_split(id),
+  expires_at timestamp not null,
+  created_at timestamp not null default now()
+);
+
+create index if not exists money_request_requester on money_request(requester_id);
+create index if not exists money_request_payer on money_request(payer_id);
+create index if not exists money_request_split on money_request(split_id);
+
+create table if not exists scheduled_payment_run(
+  id serial primary key,
+  scheduled_payment_id uuid not null references scheduled_payment(id) on delete cascade,
+  payment_id uuid, -- set if payment succeeded
+  amount int not null,
+  status varchar(16) not null check (status in ('success', 'retry', 'failed')),
+  error_code varchar(64),
+  created_at timestamp not null default now()
+);
+
 -- ############################
 -- TRIGGERS --
 
@@ -118,6 +295,9 @@ begin
   -- soft delete
   update service set deleted = true where id = old.id;
   delete from customer_saved_service where service_id = old.id;
+  update scheduled_payment set status = 'cancelled'
+  where service_id = old.id and status in ('active', 'paused');
+  delete from payment_template where service_id = old.id;
   delete from payment where owner_id = old.merchant_id and receiver_id = old.id;
   return new;
 end;
@@ -145,6 +325,296 @@ begin
 end;
 $$ language plpgsql;
 
+-- keep first name, shorten the rest to initials
+create or replace function mask_name(name varchar(64))
+returns varchar(64) as $$
+begin
+  return regexp_replace(name, '\s+(\S)\S*', ' \1.', 'g');
+end;
+$$ language plpgsql;
+
+-- next date of recurring schedule after now, skipping the missed ones
+create or replace function next_schedule_date(_date timestamp, _period varchar(16))
+returns timestamp as $$
+declare
+  step interval := case _period
+    when 'daily' then interval '1 day'
+    when 'weekly' then interval '1 week'
+    else interval '1 month'
+  end;
+begin
+  loop
+    _date := _date + step;
+    exit when _date > now();
+  end loop;
+
+  return _date;
+end;
+$$ language plpgsql;
+
+-- last day card is valid on
+create or replace function card_expiry_date(_expiry_month varchar(2), _expiry_year varchar(2))
+returns date as $$
+begin
+  return (make_date(2000 + _expiry_year::int, _expiry_month::int, 1) + interval '1 month' - interval '1 day')::date;
+end;
+$$ language plpgsql;
+
+-- money spent from card today, only on given category if it is passed
+create or replace function card_daily_spent(_card_id uuid, _category_id int default null)
+returns int as $$
+declare
+  spent int;
+begin
+  select coalesce(sum(p.amount), 0) into spent from payment p
+  join service s on s.id = p.receiver_id
+  where p.sender_id = _card_id and p.type = 'expense' and p.created_at >= current_date
+  and (_category_id is null or s.category_id = _category_id);
+
+  -- transfers between own cards are not spending
+  if _category_id is null then
+    spent := spent + (
+      select coalesce(sum(t.amount), 0) from transfer t
+      where t.sender_id = _card_id and t.type = 'expense' and t.created_at >= current_date
+      and t.receiver_id <> t.owner_id
+    );
+  end if;
+
+  return spent;
+end;
+$$ language plpgsql;
+
+-- money spent from all cards of customer since given day
+create or replace function customer_spent(_customer_id uuid, _since date)
+returns bigint as $$
+begin
+  return (
+    select coalesce(sum(p.amount), 0) from payment p
+    where p.owner_id = _customer_id and p.type = 'expense' and p.created_at >= _since
+  ) + (
+    -- transfers between own cards are not spending
+    select coalesce(sum(t.amount), 0) from transfer t
+    where t.owner_id = _customer_id and t.type = 'expense' and t.created_at >= _since
+    and t.receiver_id <> t.owner_id
+  );
+end;
+$$ language plpgsql;
+
+-- returns error code if amount can not be spent from card
+create or replace function check_spending_limit(_card_id uuid, _amount int, _category_id int default null)
+returns varchar(64) as $$
+declare
+  card_row customer_card;
+  category_limit int;
+begin
+  select * into card_row from customer_card where id = _card_id;
+
+  if _amount > coalesce(card_row.single_limit, (select amount from default_spending_limit where name = 'single')) then
+    return 'SINGLE_LIMIT_EXCEEDED';
+  end if;
+
+  if card_daily_spent(_card_id) + _amount > coalesce(card_row.daily_limit, (select amount from default_spending_limit where name = 'daily')) then
+    return 'DAILY_LIMIT_EXCEEDED';
+  end if;
+
+  if _category_id is not null then
+    select daily_limit into category_limit from card_category_limit
+    where card_id = _card_id and category_id = _category_id;
+
+    if category_limit is not null and card_daily_spent(_card_id, _category_id) + _amount > category_limit then
+      return 'CATEGORY_LIMIT_EXCEEDED';
+    end if;
+  end if;
+
+  -- card is locked by caller, customer is locked too as other cards of customer count in the same limit
+  perform 1 from customer where id = card_row.customer_id for no key update;
+
+  if customer_spent(card_row.customer_id, current_date) + _amount > (select amount from default_spending_limit where name = 'customer_daily') then
+    return 'CUSTOMER_DAILY_LIMIT_EXCEEDED';
+  end if;
+
+  if customer_spent(card_row.customer_id, date_trunc('month', current_date)::date) + _amount > (select amount from default_spending_limit where name = 'customer_monthly') then
+    return 'CUSTOMER_MONTHLY_LIMIT_EXCEEDED';
+  end if;
+
+  return null;
+end;
+$$ language plpgsql;
+
+-- creates transactions and updates balance, error is returned before anything is changed,
+-- so callers can save their own changes in the same transaction
+create or replace function make_service_payment(
+  _customer_id uuid,
+  _card_id uuid,
+  _service_id uuid,
+  _amount int,
+  _details jsonb,
+  out payment_id uuid,
+  out error_code varchar(64),
+  out error_message text
+) as $$
+declare
+  service_row service;
+  card_row customer_card;
+  service_fields jsonb := '[]';
+  details jsonb := '{}';
+  key_exists boolean := false;
+begin
+  select * into service_row from service where id = _service_id and deleted = false;
+  if not found then 
+    error_code := 'SERVICE_NOT_FOUND';
+    return;
+  end if;
+
+  if not service_row.is_active then 
+    error_code := 'SERVICE_NOT_ACTIVE';
+    return;
+  end if;
+
+  -- lock card until the end of transaction, so limits and balance are checked atomically
+  select * into card_row from customer_card where id = _card_id and customer_id = _customer_id and deleted = false for update;
+  if not found then 
+    error_code := 'CARD_NOT_FOUND';
+    return;
+  end if;
+
+  if card_row.status = 'frozen' then
+    error_code := 'CARD_FROZEN';
+    return;
+  end if;
+
+  if card_expiry_date(card_row.expiry_month, card_row.expiry_year) < current_date then
+    error_code := 'CARD_EXPIRED';
+    return;
+  end if;
+
+  if card_row.balance < _amount then 
+    error_code := 'INSUFFICIENT_FUNDS';
+    return;
+  end if;
+
+  error_code := check_spending_limit(card_row.id, _amount, service_row.category_id);
+  if error_code is not null then
+    return;
+  end if;
+  
+  -- save service_field names
+  select jsonb_agg(jsonb_build_object('id', id, 'name', name)) into service_fields from service_field where service_id = _service_id and deleted = false;
+
+  -- loop service_fields and check if all required fields are provided, then add them to details
+  if jsonb_array_length(service_fields) > 0 then
+    for i in 0..jsonb_array_length(service_fields) - 1 loop
+      -- key_exists variable
+      select exists(select 1 from jsonb_each(_details) where key = service_fields->i->>'id') into key_exists;
+
+      if not key_exists then
+        error_code := 'VALIDATION_ERROR';
+        error_message := service_fields;
+        return;
+      end if;
+
+      -- add service_fields to details
+      if key_exists then
+        details := details || jsonb_build_object(service_fields->i->>'id', _details->(service_fields->i->>'id'));
+      end if;
+    end loop;
+  end if;
+
+  insert into payment (owner_id, type, amount, sender_id, receiver_id, fields)
+  values (_customer_id, 'expense', _amount, card_row.id, _service_id, details)
+  returning id into payment_id;
+
+  insert into payment (owner_id, type, amount, sender_id, receiver_id, fields)
+  values (service_row.merchant_id, 'income', _amount, _customer_id, _service_id, details);
+
+  update customer_card set balance = balance - _amount where id = _card_id;
+  update merchant set balance = balance + _amount where id = service_row.merchant_id;
+end;
+$$ language plpgsql;
+
+-- creates transfer transactions and updates balances, error is returned before anything is changed,
+-- so callers can save their own changes in the same transaction
+create or replace function make_transfer(
+  _customer_id uuid,
+  _from_card_id uuid,
+  _to_pan_hash varchar(64),
+  _amount int,
+  out transfer_id uuid,
+  out error_code varchar(64),
+  out error_message text
+) as $$
+declare
+  sender_card customer_card;
+  receiver_card customer_card;
+begin
+  -- lock both cards in the same order, so transfers between them in opposite directions do not deadlock
+  perform 1 from customer_card
+  where id = _from_card_id or (pan_hash = _to_pan_hash and deleted = false)
+  order by id
+  for update;
+
+  select * into sender_card from customer_card where id = _from_card_id and customer_id = _customer_id and deleted = false;
+  if not found then 
+    error_code := 'CARD_NOT_FOUND';
+    return;
+  end if;
+
+  select * into receiver_card from customer_card where pan_hash = _to_pan_hash and deleted = false;
+  if not found then 
+    error_code := 'CARD_NOT_FOUND';
+    return;
+  end if;
+
+  if sender_card.id = receiver_card.id then 
+    error_code := 'SAME_CARD';
+    return;
+  end if;
+
+  if sender_card.status = 'frozen' then
+    error_code := 'CARD_FROZEN';
+    return;
+  end if;
+
+  if receiver_card.status = 'frozen' and receiver_card.freeze_credits then
+    error_code := 'RECIPIENT_CARD_FROZEN';
+    return;
+  end if;
+
+  if card_expiry_date(sender_card.expiry_month, sender_card.expiry_year) < current_date then
+    error_code := 'CARD_EXPIRED';
+    return;
+  end if;
+
+  if card_expiry_date(receiver_card.expiry_month, receiver_card.expiry_year) < current_date then
+    error_code := 'RECIPIENT_CARD_EXPIRED';
+    return;
+  end if;
+
+  if sender_card.balance < _amount then 
+    error_code := 'INSUFFICIENT_FUNDS';
+    return;
+  end if;
+
+  -- transfers to own cards are not limited
+  if receiver_card.customer_id <> _customer_id then
+    error_code := check_spending_limit(sender_card.id, _amount);
+    if error_code is not null then
+      return;
+    end if;
+  end if;
+
+  insert into transfer (owner_id, type, amount, sender_id, receiver_pan, receiver_id)
+  values (_customer_id, 'expense', _amount, _from_card_id, receiver_card.pan_masked, receiver_card.customer_id)
+  returning id into transfer_id;
+
+  insert into transfer (owner_id, type, amount, sender_pan, sender_id, receiver_id)
+  values (receiver_card.customer_id, 'income', _amount, sender_card.pan_masked, sender_card.customer_id, receiver_card.id);
+
+  update customer_card set balance = balance - _amount where id = sender_card.id;
+  update customer_card set balance = balance + _amount where id = receiver_card.id;
+end;
+$$ language plpgsql;
+
 -- MUTATION PROCEDURES --
 
 -- creates new service with fields
@@ -254,7 +724,7 @@ begin
 end;
 $$ language plpgsql;
 
--- deletes related data from all tables
+-- soft deletes card, keeping its transactions in history
 create or replace procedure delete_card(
   _card_id uuid,
   _customer_id uuid,
@@ -262,18 +732,32 @@ create or replace procedure delete_card(
   out error_message text,
   out success_message jsonb
 ) as $$
+declare
+  was_primary boolean;
 begin
   begin
-    delete from payment where owner_id = _customer_id and sender_id = _card_id;
-    delete from transfer where owner_id = _customer_id and sender_id = _card_id;
-    delete from transfer where owner_id = _customer_id and receiver_id = _card_id;
-    
-    delete from customer_card where id = _card_id and customer_id = _customer_id;
+    select is_primary into was_primary from customer_card
+    where id = _card_id and customer_id = _customer_id and deleted = false;
     if not found then 
       error_code := 'CARD_NOT_FOUND';
       return;
     end if;
 
+    update customer_card set deleted = true, is_primary = false where id = _card_id;
+    delete from card_category_limit where card_id = _card_id;
+
+    update scheduled_payment set status = 'cancelled'
+    where card_id = _card_id and status in ('active', 'paused');
+
+    -- promote the oldest card left
+    if was_primary then
+      update customer_card set is_primary = true
+      where id = (
+        select id from customer_card where customer_id = _customer_id and deleted = false
+        order by created_at limit 1
+      );
+    end if;
+
     select message from message where name = 'CARD_DELETED' into success_message;
   exception
     when others then
@@ -287,83 +771,154 @@ begin
 end;
 $$ language plpgsql;
 
--- creates transactions and updates balance
-create or replace procedure pay_for_service(
+-- replaces spending limits of card, limits above platform ones are saved as platform ones
+create or replace procedure set_card_limits(
   _customer_id uuid,
   _card_id uuid,
-  _service_id uuid,
-  _amount int,
-  _details jsonb,
-  out payment_id uuid,
+  _daily_limit int,
+  _single_limit int,
+  _categories jsonb,
   out error_code varchar(64),
   out error_message text,
   out success_message jsonb
-)
-as $$
+) as $$
 declare
-  service_row service;
-  card_row customer_card;
-  merchant_row merchant;
-  service_fields jsonb := '[]';
-  details jsonb := '{}';
-  key_exists boolean := false;
+  default_daily int;
+  default_single int;
 begin
   begin
-    select * into service_row from service where id = _service_id and deleted = false;
-    if not found then 
-      error_code := 'SERVICE_NOT_FOUND';
+    select amount into default_daily from default_spending_limit where name = 'daily';
+    select amount into default_single from default_spending_limit where name = 'single';
+
+    update customer_card set
+      daily_limit = nullif(least(_daily_limit, default_daily), default_daily),
+      single_limit = nullif(least(_single_limit, default_single), default_single)
+    where id = _card_id and customer_id = _customer_id and deleted = false;
+    if not found then
+      error_code := 'CARD_NOT_FOUND';
       return;
     end if;
 
-    if not service_row.is_active then 
-      error_code := 'SERVICE_NOT_ACTIVE';
-      return;
-    end if;
+    delete from card_category_limit where card_id = _card_id;
 
-    select * into card_row from customer_card where id = _card_id and customer_id = _customer_id;
-    if not found then 
-      error_code := 'CARD_NOT_FOUND';
+    insert into card_category_limit (card_id, category_id, daily_limit)
+    select _card_id, (c->>'categoryId')::int, (c->>'dailyLimit')::int
+    from jsonb_array_elements(_categories) c;
+
+    select message from message where name = 'LIMITS_UPDATED' into success_message;
+  exception
+    when foreign_key_violation or unique_violation then
+      rollback;
+      error_code := 'VALIDATION_ERROR';
+      error_message := 'categories';
       return;
-    end if;
+    when others then
+      rollback;
+      error_code := 'DATABASE_ERROR';
+      error_message := sqlerrm;
+      return;
+  end;
 
-    if card_row.balance < _amount then 
-      error_code := 'INSUFFICIENT_FUNDS';
+  commit;
+end;
+$$ language plpgsql;
+
+-- removes personal data of customer, keeping transactions for accounting
+create or replace procedure delete_customer(
+  _customer_id uuid,
+  out error_code varchar(64),
+  out error_message text,
+  out success_message jsonb
+) as $$
+begin
+  begin
+    update customer
+    set name = 'Deleted user', phone = null, image_url = null, hashed_password = '',
+      hashed_pin = null, gender = null, birth_date = null, deleted_at = now()
+    where id = _customer_id and deleted_at is null;
+    if not found then
+      error_code := 'USER_NOT_FOUND';
       return;
     end if;
-    
-    -- save service_field names
-    select jsonb_agg(jsonb_build_object('id', id, 'name', name)) into service_fields from service_field where service_id = _service_id and deleted = false;
 
-    -- loop service_fields and check if all required fields are provided, then add them to details
-    if jsonb_array_length(service_fields) > 0 then
-      for i in 0..jsonb_array_length(service_fields) - 1 loop
-        -- key_exists variable
-        select exists(select 1 from jsonb_each(_details) where key = service_fields->i->>'id') into key_exists;
+    delete from scheduled_payment where customer_id = _customer_id;
+    delete from payment_template where customer_id = _customer_id;
+    update money_request set status = 'cancelled'
+    where status = 'pending' and (requester_id = _customer_id or payer_id = _customer_id);
+    -- cards are unlinked, not removed, so their transactions and refunds keep working
+    delete from card_category_limit
+    where card_id in (select id from customer_card where customer_id = _customer_id);
+    update customer_card set deleted = true, is_primary = false where customer_id = _customer_id;
+    delete from customer_device where customer_id = _customer_id;
+    delete from customer_saved_service where customer_id = _customer_id;
+
+    select message from message where name = 'ACCOUNT_DELETED' into success_message;
+  exception
+    when others then
+      rollback;
+      error_code := 'DATABASE_ERROR';
+      error_message := sqlerrm;
+      return;
+  end;
 
-        if not key_exists then
-          error_code := 'VALIDATION_ERROR';
-          error_message := service_fields;
-          return;
-        end if;
+  commit;
+end;
+$$ language plpgsql;
 
-        -- add service_fields to details
-        if key_exists then
-          details := details || jsonb_build_object(service_fields->i->>'id', _details->(service_fields->i->>'id'));
-        end if;
-      end loop;
+-- creates transactions and updates balance
+create or replace procedure pay_for_service(
+  _customer_id uuid,
+  _card_id uuid,
+  _service_id uuid,
+  _amount int,
+  _details jsonb,
+  out payment_id uuid,
+  out error_code varchar(64),
+  out error_message text,
+  out success_message jsonb
+)
+as $$
+begin
+  begin
+    select * into payment_id, error_code, error_message
+    from make_service_payment(_customer_id, _card_id, _service_id, _amount, _details);
+    if error_code is not null then
+      return;
     end if;
 
-    insert into payment (owner_id, type, amount, sender_id, receiver_id, fields)
-    values (_customer_id, 'expense', _amount, card_row.id, _service_id, details)
-    returning id into payment_id;
+    select message from message where name = 'PAYMENT_SUCCESS' into success_message;
+  exception
+    when others then
+      rollback;
+      error_code := 'TRANSACTION_ERROR';
+      error_message := sqlerrm;
+      return;
+  end;
 
-    insert into payment (owner_id, type, amount, sender_id, receiver_id, fields)
-    values (service_row.merchant_id, 'income', _amount, _customer_id, _service_id, details);
+  commit;
+end;
+$$ language plpgsql;
 
-    update customer_card set balance = balance - _amount where id = _card_id;
-    update merchant set balance = balance + _amount where id = service_row.merchant_id;
+-- creates transactions and updates balance
+create or replace procedure transfer_money(
+  _customer_id uuid,
+  _from_card_id uuid,
+  _to_pan_hash varchar(64),
+  _amount int,
+  out transfer_id uuid,
+  out error_code varchar(64),
+  out error_message text,
+  out success_message jsonb
+) as $$
+begin
+  begin
+    select * into transfer_id, error_code, error_message
+    from make_transfer(_customer_id, _from_card_id, _to_pan_hash, _amount);
+    if error_code is not null then
+      return;
+    end if;
 
-    select message from message where name = 'PAYMENT_SUCCESS' into success_message;
+    select message from message where name = 'TRANSFER_SUCCESS' into success_message;
   exception
     when others then
       rollback;
@@ -377,10 +932,10 @@ end;
 $$ language plpgsql;
 
 -- creates transactions and updates balance
-create or replace procedure transfer_money(
+create or replace procedure transfer_money_to_self(
   _customer_id uuid,
   _from_card_id uuid,
-  _to_pan varchar(16),
+  _to_card_id uuid,
   _amount int,
   out transfer_id uuid,
   out error_code varchar(64),
@@ -392,20 +947,38 @@ declare
   receiver_card customer_card;
 begin
   begin
-    select * into sender_card from customer_card where id = _from_card_id and customer_id = _customer_id;
+    -- lock both cards in the same order, so transfers between them in opposite directions do not deadlock
+    perform 1 from customer_card where id in (_from_card_id, _to_card_id) order by id for update;
+
+    select * into sender_card from customer_card where id = _from_card_id and customer_id = _customer_id and deleted = false;
     if not found then 
       error_code := 'CARD_NOT_FOUND';
       return;
     end if;
 
-    select * into receiver_card from customer_card where pan = _to_pan;
+    select * into receiver_card from customer_card where id = _to_card_id and customer_id = _customer_id and deleted = false;
     if not found then 
       error_code := 'CARD_NOT_FOUND';
       return;
     end if;
 
-    if sender_card.id = receiver_card.id then 
-      error_code := 'SAME_CARD';
+    if sender_card.status = 'frozen' then
+      error_code := 'CARD_FROZEN';
+      return;
+    end if;
+
+    if receiver_card.status = 'frozen' and receiver_card.freeze_credits then
+      error_code := 'RECIPIENT_CARD_FROZEN';
+      return;
+    end if;
+
+    if card_expiry_date(sender_card.expiry_month, sender_card.expiry_year) < current_date then
+      error_code := 'CARD_EXPIRED';
+      return;
+    end if;
+
+    if card_expiry_date(receiver_card.expiry_month, receiver_card.expiry_year) < current_date then
+      error_code := 'RECIPIENT_CARD_EXPIRED';
       return;
     end if;
 
@@ -415,11 +988,11 @@ begin
     end if;
 
     insert into transfer (owner_id, type, amount, sender_id, receiver_pan, receiver_id)
-    values (_customer_id, 'expense', _amount, _from_card_id, receiver_card.pan, receiver_card.customer_id)
+    values (_customer_id, 'expense', _amount, _from_card_id, receiver_card.pan_masked, receiver_card.customer_id)
     returning id into transfer_id;
 
     insert into transfer (owner_id, type, amount, sender_pan, sender_id, receiver_id)
-    values (receiver_card.customer_id, 'income', _amount, sender_card.pan, sender_card.customer_id, receiver_card.id);
+    values (_customer_id, 'income', _amount, sender_card.pan_masked, sender_card.customer_id, _to_card_id);
 
     update customer_card set balance = balance - _amount where id = sender_card.id;
     update customer_card set balance = balance + _amount where id = receiver_card.id;
@@ -437,50 +1010,230 @@ begin
 end;
 $$ language plpgsql;
 
--- creates transactions and updates balance
-create or replace procedure transfer_money_to_self(
+
+-- returns money of the payment to the card it was paid from, fully or partially
+create or replace procedure refund_payment(
+  _merchant_id uuid,
+  _payment_id uuid,
+  _amount int, -- null to refund the rest of payment
+  _reason varchar(256),
+  out refund_id uuid,
+  out error_code varchar(64),
+  out error_message text,
+  out success_message jsonb
+) as $$
+declare
+  payment_row payment;
+  card_row customer_card;
+  merchant_row merchant;
+  refunded int;
+begin
+  begin
+    select p.* into payment_row from payment p
+    join service s on s.id = p.receiver_id
+    where p.id = _payment_id and p.type = 'expense' and s.merchant_id = _merchant_id
+    for update of p;
+    if not found then
+      error_code := 'PAYMENT_NOT_FOUND';
+      return;
+    end if;
+
+    select coalesce(sum(amount), 0) into refunded from refund
+    where payment_id = payment_row.id and owner_id = payment_row.owner_id;
+
+    if _amount is null then
+      _amount := payment_row.amount - refunded;
+    end if;
+
+    if _amount <= 0 or refunded + _amount > payment_row.amount then
+      error_code := 'REFUND_EXCEEDS_PAYMENT';
+      return;
+    end if;
+
+    -- money goes back to the card even if it was unlinked since
+    select * into card_row from customer_card where id = payment_row.sender_id;
+    if not found then
+      error_code := 'CARD_NOT_FOUND';
+      return;
+    end if;
+
+    if card_row.status = 'frozen' and card_row.freeze_credits then
+      error_code := 'RECIPIENT_CARD_FROZEN';
+      return;
+    end if;
+
+    select * into merchant_row from merchant where id = _merchant_id for update;
+    if merchant_row.balance < _amount then
+      error_code := 'INSUFFICIENT_FUNDS';
+      return;
+    end if;
+
+    insert into refund (owner_id, type, amount, payment_id, sender_id, receiver_id, reason)
+    values (payment_row.owner_id, 'income', _amount, payment_row.id, payment_row.receiver_id, card_row.id, _reason)
+    returning id into refund_id;
+
+    insert into refund (owner_id, type, amount, payment_id, sender_id, receiver_id, reason)
+    values (_merchant_id, 'expense', _amount, payment_row.id, payment_row.receiver_id, payment_row.owner_id, _reason);
+
+    update merchant set balance = balance - _amount where id = _merchant_id;
+    update customer_card set balance = balance + _amount where id = card_row.id;
+
+    select message from message where name = 'REFUND_SUCCESS' into success_message;
+  exception
+    when others then
+      rollback;
+      error_code := 'TRANSACTION_ERROR';
+      error_message := sqlerrm;
+      return;
+  end;
+
+  commit;
+end;
+$$ language plpgsql;
+
+-- transfers requested money to the card of requester and marks request as paid in one transaction,
+-- request is locked, so it is paid once
+create or replace procedure pay_money_request(
+  _id uuid,
   _customer_id uuid,
   _from_card_id uuid,
-  _to_card_id uuid,
-  _amount int,
   out transfer_id uuid,
   out error_code varchar(64),
   out error_message text,
   out success_message jsonb
 ) as $$
 declare
-  sender_card customer_card;
-  receiver_card customer_card;
+  request_row money_request;
+  to_pan_hash varchar(64);
+  paid_id uuid;
 begin
   begin
-    select * into sender_card from customer_card where id = _from_card_id and customer_id = _customer_id;
-    if not found then 
-      error_code := 'CARD_NOT_FOUND';
+    select * into request_row from money_request where id = _id and payer_id = _customer_id for update;
+    if not found then
+      error_code := 'MONEY_REQUEST_NOT_FOUND';
       return;
     end if;
 
-    select * into receiver_card from customer_card where id = _to_card_id and customer_id = _customer_id;
-    if not found then 
+    if request_row.status <> 'pending' or request_row.expires_at < now() then
+      error_code := 'MONEY_REQUEST_NOT_PENDING';
+      return;
+    end if;
+
+    select pan_hash into to_pan_hash from customer_card where id = request_row.card_id and deleted = false;
+    if not found then
+      error_code := 'RECIPIENT_HAS_NO_CARD';
+      return;
+    end if;
+
+    select * into transfer_id, error_code, error_message
+    from make_transfer(_customer_id, _from_card_id, to_pan_hash, request_row.amount);
+    if error_code is not null then
+      return;
+    end if;
+
+    update money_request set status = 'paid', transfer_id = pay_money_request.transfer_id
+    where id = _id and status = 'pending'
+    returning id into strict paid_id;
+
+    select message from message where name = 'TRANSFER_SUCCESS' into success_message;
+  exception
+    -- transfer is rolled back if request is not pending anymore
+    when no_data_found then
+      rollback;
+      transfer_id := null;
+      error_code := 'MONEY_REQUEST_NOT_PENDING';
+      return;
+    when others then
+      rollback;
+      error_code := 'TRANSACTION_ERROR';
+      error_message := sqlerrm;
+      return;
+  end;
+
+  commit;
+end;
+$$ language plpgsql;
+
+-- splits payment of customer with others by money requests,
+-- shares without amount are equal, customer keeps one share and the rest of division
+create or replace procedure create_bill_split(
+  _customer_id uuid,
+  _payment_id uuid,
+  _card_id uuid,
+  _shares jsonb, -- [{phone, amount}]
+  _ttl_days int,
+  out split_id uuid,
+  out error_code varchar(64),
+  out error_message text,
+  out success_message jsonb
+) as $$
+declare
+  payment_row payment;
+  card_row customer_card;
+  payer_row customer;
+  service_name varchar(64);
+  share jsonb;
+  equal_share int;
+  total int := 0;
+begin
+  begin
+    -- lock payment, so it is not split twice at the same time
+    select * into payment_row from payment where id = _payment_id and owner_id = _customer_id and type = 'expense' for update;
+    if not found then
+      error_code := 'PAYMENT_NOT_FOUND';
+      return;
+    end if;
+
+    if exists(select 1 from bill_split where payment_id = _payment_id) then
+      error_code := 'PAYMENT_ALREADY_SPLIT';
+      return;
+    end if;
+
+    -- money is received to given card or the primary one
+    select * into card_row from customer_card
+    where customer_id = _customer_id and deleted = false and (_card_id is null or id = _card_id)
+    order by is_primary desc, created_at limit 1;
+    if not found then
       error_code := 'CARD_NOT_FOUND';
       return;
     end if;
 
-    if sender_card.balance < _amount then 
-      error_code := 'INSUFFICIENT_FUNDS';
+    equal_share := payment_row.amount / (jsonb_array_length(_shares) + 1);
+
+    for share in select * from jsonb_array_elements(_shares) loop
+      select * into payer_row from customer where phone = share->>'phone';
+      if not found then
+        error_code := 'USER_NOT_FOUND';
+        error_message := share->>'phone';
+        return;
+      end if;
+
+      if payer_row.id = _customer_id then
+        error_code := 'MONEY_REQUEST_TO_SELF';
+        return;
+      end if;
+
+      total := total + coalesce((share->>'amount')::int, equal_share);
+    end loop;
+
+    if total > payment_row.amount then
+      error_code := 'SPLIT_EXCEEDS_PAYMENT';
       return;
     end if;
 
-    insert into transfer (owner_id, type, amount, sender_id, receiver_pan, receiver_id)
-    values (_customer_id, 'expense', _amount, _from_card_id, receiver_card.pan, receiver_card.customer_id)
-    returning id into transfer_id;
+    select name into service_name from service where id = payment_row.receiver_id;
 
-    insert into transfer (owner_id, type, amount, sender_pan, sender_id, receiver_id)
-    values (_customer_id, 'income', _amount, sender_card.pan, sender_card.customer_id, _to_card_id);
+    insert into bill_split(customer_id, payment_id)
+    values (_customer_id, _payment_id)
+    returning id into split_id;
 
-    update customer_card set balance = balance - _amount where id = sender_card.id;
-    update customer_card set balance = balance + _amount where id = receiver_card.id;
+    insert into money_request(requester_id, payer_id, card_id, amount, note, expires_at, split_id)
+    select _customer_id, c.id, card_row.id, coalesce((sh->>'amount')::int, equal_share), service_name,
+      now() + make_interval(days => _ttl_days), create_bill_split.split_id
+    from jsonb_array_elements(_shares) sh
+    join customer c on c.phone = sh->>'phone';
 
-    select message from message where name = 'TRANSFER_SUCCESS' into success_message;
+    select message from message where name = 'BILL_SPLIT_CREATED' into success_message;
   exception
     when others then
       rollback;
@@ -493,6 +1246,135 @@ begin
 end;
 $$ language plpgsql;
 
+-- pays invoice with prefilled values of its fields and saves payment of the invoice in one transaction,
+-- invoice is locked, so single use one is paid once
+create or replace procedure pay_invoice(
+  _invoice_id uuid,
+  _customer_id uuid,
+  _card_id uuid,
+  _fields jsonb,
+  out payment_id uuid,
+  out error_code varchar(64),
+  out error_message text,
+  out success_message jsonb
+) as $$
+declare
+  invoice_row invoice;
+begin
+  begin
+    select * into invoice_row from invoice where id = _invoice_id for update;
+    if not found then
+      error_code := 'INVOICE_NOT_FOUND';
+      return;
+    end if;
+
+    if invoice_row.due_date < current_date then
+      error_code := 'INVOICE_EXPIRED';
+      return;
+    end if;
+
+    if invoice_row.single_use and exists(select 1 from invoice_payment where invoice_id = _invoice_id) then
+      error_code := 'INVOICE_ALREADY_PAID';
+      return;
+    end if;
+
+    -- prefilled values can not be changed by customer
+    select * into payment_id, error_code, error_message
+    from make_service_payment(_customer_id, _card_id, invoice_row.service_id, invoice_row.amount, _fields || invoice_row.fields);
+    if error_code is not null then
+      return;
+    end if;
+
+    insert into invoice_payment(invoice_id, customer_id, payment_id)
+    values (_invoice_id, _customer_id, pay_invoice.payment_id);
+
+    select message from message where name = 'PAYMENT_SUCCESS' into success_message;
+  exception
+    when others then
+      rollback;
+      error_code := 'TRANSACTION_ERROR';
+      error_message := sqlerrm;
+      return;
+  end;
+
+  commit;
+end;
+$$ language plpgsql;
+
+-- pays scheduled payment, saves result of the run and moves it to the next date in one transaction,
+-- payment is retried later if card has not enough money
+create or replace procedure run_scheduled_payment(
+  _id uuid,
+  _max_retries int,
+  _retry_after int, -- minutes
+  out error_code varchar(64),
+  out error_message text,
+  out success_message jsonb
+) as $$
+declare
+  schedule_row scheduled_payment;
+  run_payment_id uuid;
+  run_error_code varchar(64);
+  run_error_message text;
+  run_status varchar(16);
+begin
+  begin
+    select * into schedule_row from scheduled_payment where id = _id for update;
+    if not found then
+      error_code := 'SCHEDULED_PAYMENT_NOT_FOUND';
+      return;
+    end if;
+
+    -- paused, cancelled or already paid since it was taken
+    if schedule_row.status <> 'active' or coalesce(schedule_row.retry_at, schedule_row.next_run_at) > now() then
+      return;
+    end if;
+
+    select * into run_payment_id, run_error_code, run_error_message
+    from make_service_payment(
+      schedule_row.customer_id, schedule_row.card_id, schedule_row.service_id, schedule_row.amount, schedule_row.fields
+    );
+
+    if run_payment_id is not null then
+      run_status := 'success';
+    elsif run_error_code = 'INSUFFICIENT_FUNDS' and schedule_row.retries < _max_retries then
+      run_status := 'retry';
+    else
+      run_status := 'failed';
+    end if;
+
+    insert into scheduled_payment_run(scheduled_payment_id, payment_id, amount, status, error_code)
+    values (_id, run_payment_id, schedule_row.amount, run_status, run_error_code);
+
+    if run_status = 'retry' then
+      update scheduled_payment
+      set retries = retries + 1, retry_at = now() + make_interval(mins => _retry_after), locked_until = null
+      where id = _id;
+    -- one-off payment is done, and recurring one is stopped if it can not succeed anymore
+    elsif schedule_row.period is null
+      or run_error_code in ('SERVICE_NOT_FOUND', 'CARD_NOT_FOUND', 'CARD_EXPIRED', 'VALIDATION_ERROR') then
+      update scheduled_payment
+      set status = case when run_status = 'success' then 'completed' else 'failed' end,
+        retries = 0, retry_at = null, locked_until = null
+      where id = _id;
+    else
+      update scheduled_payment
+      set next_run_at = next_schedule_date(next_run_at, period),
+        retries = 0, retry_at = null, locked_until = null
+      where id = _id;
+    end if;
+  exception
+    when others then
+      rollback;
+      error_code := 'DATABASE_ERROR';
+      error_message := sqlerrm;
+      return;
+  end;
+
+  commit;
+end;
+$$ language plpgsql;
+
 
 -- ############################
 -- FUNCTIONS --
@@ -526,7 +1408,7 @@ begin
   create temp table alltransactions AS (
     -- expense transfer
     select t.id, t.owner_id, t.type, 'transfer' as action, t.amount, t.created_at,
-    jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', mask_credit_card(own_card.pan)) as sender, 
+    jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', own_card.pan_masked) as sender, 
     jsonb_build_object('name', receiver_customer.name, 'image_url', receiver_customer.image_url, 'pan', mask_credit_card(t.receiver_pan)) as receiver
     from transfer t
     join customer_card own_card on own_card.id = t.sender_id
@@ -535,7 +1417,7 @@ begin
     union all
     -- expense payment
     select p.id, p.owner_id, p.type, 'payment' as action, p.amount, p.created_at,
-    jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', mask_credit_card(own_card.pan)) as sender,
+    jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', own_card.pan_masked) as sender,
     jsonb_build_object('id', s.id, 'name', s.name, 'image_url', s.image_url) as receiver
     from payment p
     join customer_card own_card on own_card.id = p.sender_id
@@ -545,11 +1427,20 @@ begin
     -- income transfer
     select t.id, t.owner_id, t.type, 'transfer' as action, t.amount, t.created_at,
     jsonb_build_object('name', sender_customer.name, 'image_url', sender_customer.image_url, 'pan', mask_credit_card(t.sender_pan)) as sender,
-    jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', mask_credit_card(own_card.pan)) as receiver
+    jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', own_card.pan_masked) as receiver
     from transfer t
     join customer sender_customer on sender_customer.id = t.sender_id
     join customer_card own_card on own_card.id = t.receiver_id
     where t.owner_id = _customer_id and t.created_at between _from and _to
+    union all
+    -- income refund
+    select r.id, r.owner_id, r.type, 'refund' as action, r.amount, r.created_at,
+    jsonb_build_object('id', s.id, 'name', s.name, 'image_url', s.image_url) as sender,
+    jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', own_card.pan_masked) as receiver
+    from refund r
+    join service s on s.id = r.sender_id
+    join customer_card own_card on own_card.id = r.receiver_id
+    where r.owner_id = _customer_id and r.created_at between _from and _to
   );
 
   select count(*) into total_count from alltransactions
@@ -569,7 +1460,7 @@ $$ language plpgsql;
 create or replace function get_transaction_by_id(
   _customer_id uuid,
   _transaction_id uuid,
-  _type varchar(16) -- payment or transfer
+  _type varchar(16) -- payment, transfer or refund
 )
 returns table (
   id uuid,
@@ -586,7 +1477,7 @@ begin
   if _type = 'payment' then
     return query
       select p.id, p.owner_id, p.type, 'payment' as action, p.amount, p.created_at,
-      jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', mask_credit_card(own_card.pan)) as sender,
+      jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', own_card.pan_masked) as sender,
       jsonb_build_object('id', s.id, 'name', s.name, 'image_url', s.image_url) as receiver,
       (
         SELECT
@@ -607,11 +1498,21 @@ begin
       join customer_card own_card on own_card.id = p.sender_id
       join service s on s.id = p.receiver_id
       where p.owner_id = _customer_id and p.id = _transaction_id;
+  elsif _type = 'refund' then
+    return query
+      select r.id, r.owner_id, r.type, 'refund' as action, r.amount, r.created_at,
+      jsonb_build_object('id', s.id, 'name', s.name, 'image_url', s.image_url) as sender,
+      jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', own_card.pan_masked) as receiver,
+      jsonb_build_object('payment_id', r.payment_id, 'reason', r.reason) as fields
+      from refund r
+      join service s on s.id = r.sender_id
+      join customer_card own_card on own_card.id = r.receiver_id
+      where r.owner_id = _customer_id and r.id = _transaction_id;
   else
     return query
       select t.id, t.owner_id, t.type, 'transfer' as action, t.amount, t.created_at,
       jsonb_build_object('name', sender_customer.name, 'image_url', sender_customer.image_url, 'pan', mask_credit_card(t.sender_pan)) as sender,
-      jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', mask_credit_card(own_card.pan)) as receiver,
+      jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', own_card.pan_masked) as receiver,
       'null'::jsonb as fields
       from transfer t
       join customer sender_customer on sender_customer.id = t.sender_id
@@ -619,7 +1520,7 @@ begin
       where t.owner_id = _customer_id and t.id = _transaction_id
       union all
       select t.id, t.owner_id, t.type, 'transfer' as action, t.amount, t.created_at,
-      jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', mask_credit_card(own_card.pan)) as sender,
+      jsonb_build_object('id', own_card.id, 'name', own_card.name, 'pan', own_card.pan_masked) as sender,
       jsonb_build_object('name', receiver_customer.name, 'image_url', receiver_customer.image_url, 'pan', mask_credit_card(t.receiver_pan)) as receiver,
       'null'::jsonb as fields
       from transfer t
@@ -683,7 +1584,90 @@ insert into message(name, message, http_code) values
 ('ALLOWED_FOR_TRUSTED', '{"en": "This action is allowed only for trusted devices", "uz": "Ushbu amal faqat ishonchli qurilmalar uchun ruxsat etilgan", "ru": "Это действие разрешено только для доверенных устройств"}', 403),
 ('UNTRUST_SUCCESS', '{"en": "Removed from trusted devices", "uz": "Ishonchli qurilmalardan olib tashlandi", "ru": "Удалено из доверенных устройств"}', 200),
 ('SESSIONS_ENDED', '{"en": "Terminated all other sessions", "uz": "Boshqa sessiyalarni tugatildi", "ru": "Завершены все другие сессии"}', 200),
-('QR_LOGIN_SUCCESS', '{"en": "QR login successful", "uz": "QR login muvaffaqiyatli amalga oshirildi", "ru": "QR логин прошел успешно"}', 200)
+('QR_LOGIN_SUCCESS', '{"en": "QR login successful", "uz": "QR login muvaffaqiyatli amalga oshirildi", "ru": "QR логин прошел успешно"}', 200),
+('REFRESH_TOKEN_REUSED', '{"en": "Session is terminated for security reasons, please login again", "uz": "Xavfsizlik maqsadida sessiya tugatildi, qaytadan kiring", "ru": "Сессия завершена в целях безопасности, войдите снова"}', 401),
+('LOGOUT_SUCCESS', '{"en": "Logged out successfully", "uz": "Tizimdan muvaffaqiyatli chiqildi", "ru": "Выход выполнен успешно"}', 200),
+('LOGOUT_ALL_SUCCESS', '{"en": "Logged out from all devices", "uz": "Barcha qurilmalardan chiqildi", "ru": "Выполнен выход со всех устройств"}', 200),
+('PASSWORD_RESET', '{"en": "Password changed, please login with the new password", "uz": "Parol o''zgartirildi, yangi parol bilan kiring", "ru": "Пароль изменен, войдите с новым паролем"}', 200),
+('PHONE_UPDATED', '{"en": "Phone number updated successfully", "uz": "Telefon raqami muvaffaqiyatli yangilandi", "ru": "Номер телефона успешно обновлен"}', 200),
+('ACCOUNT_DELETED', '{"en": "Account deleted successfully", "uz": "Hisob muvaffaqiyatli o''chirildi", "ru": "Аккаунт успешно удален"}', 200),
+('EXPORT_REQUESTED', '{"en": "Your data is being prepared, check back in a few minutes", "uz": "Ma''lumotlaringiz tayyorlanmoqda, bir necha daqiqadan so''ng tekshiring", "ru": "Ваши данные готовятся, проверьте через несколько минут"}', 202),
+('EXPORT_IN_PROGRESS', '{"en": "Your previous data export is still being prepared", "uz": "Oldingi ma''lumotlar eksporti hali tayyorlanmoqda", "ru": "Предыдущий экспорт данных еще готовится"}', 409),
+('EXPORT_NOT_FOUND', '{"en": "Data export not found or link expired", "uz": "Ma''lumotlar eksporti topilmadi yoki havola muddati tugagan", "ru": "Экспорт данных не найден или срок ссылки истек"}', 404),
+('TOTP_ALREADY_ENABLED', '{"en": "Authenticator app is already enabled", "uz": "Autentifikator ilovasi allaqachon yoqilgan", "ru": "Приложение-аутентификатор уже подключено"}', 409),
+('TOTP_NOT_SETUP', '{"en": "Authenticator app is not set up", "uz": "Autentifikator ilovasi sozlanmagan", "ru": "Приложение-аутентификатор не настроено"}', 400),
+('TOTP_ENABLED', '{"en": "Authenticator app enabled, keep backup codes in a safe place", "uz": "Autentifikator ilovasi yoqildi, zaxira kodlarni xavfsiz joyda saqlang", "ru": "Приложение-аутентификатор подключено, храните резервные коды в надежном месте"}', 200),
+('TOTP_DISABLED', '{"en": "Authenticator app disabled", "uz": "Autentifikator ilovasi o''chirildi", "ru": "Приложение-аутентификатор отключено"}', 200),
+('DEVICE_NOT_FOUND', '{"en": "Device not found", "uz": "Qurilma topilmadi", "ru": "Устройство не найдено"}', 404),
+('PIN_SET', '{"en": "Payment PIN saved", "uz": "To''lov PIN kodi saqlandi", "ru": "PIN-код для платежей сохранен"}', 200),
+('PIN_NOT_SET', '{"en": "Set payment PIN to make transactions", "uz": "Tranzaksiyalar uchun to''lov PIN kodini o''rnating", "ru": "Установите PIN-код для проведения платежей"}', 403),
+('WRONG_PIN', '{"en": "Wrong payment PIN", "uz": "To''lov PIN kodi noto''g''ri", "ru": "Неверный PIN-код"}', 401),
+('PIN_BLOCKED', '{"en": "Payments are blocked, try again after {0} seconds", "uz": "To''lovlar bloklangan, {0} sekunddan keyin urinib ko''ring", "ru": "Платежи заблокированы, попробуйте снова через {0} секунд"}', 403),
+('IDEMPOTENCY_KEY_REUSED', '{"en": "Idempotency key was already used for another request", "uz": "Idempotentlik kaliti boshqa so''rov uchun ishlatilgan", "ru": "Ключ идемпотентности уже использован для другого запроса"}', 422),
+('REQUEST_IN_PROGRESS', '{"en": "Request with this idempotency key is still in progress", "uz": "Ushbu idempotentlik kalitli so''rov hali bajarilmoqda", "ru": "Запрос с этим ключом идемпотентности еще выполняется"}', 409),
+('REFUND_SUCCESS', '{"en": "Payment refunded", "uz": "To''lov qaytarildi", "ru": "Платеж возвращен"}', 200),
+('PAYMENT_NOT_FOUND', '{"en": "Payment not found", "uz": "To''lov topilmadi", "ru": "Платеж не найден"}', 404),
+('REFUND_EXCEEDS_PAYMENT', '{"en": "Refund amount exceeds the rest of payment", "uz": "Qaytarish summasi to''lovning qolgan qismidan oshib ketdi", "ru": "Сумма возврата превышает остаток платежа"}', 400),
+('RECIPIENT_HAS_NO_CARD', '{"en": "Recipient has no cards to receive money", "uz": "Qabul qiluvchida pul qabul qilish uchun karta yo''q", "ru": "У получателя нет карт для получения денег"}', 404),
+('CARD_FROZEN', '{"en": "Card is frozen", "uz": "Karta muzlatilgan", "ru": "Карта заморожена"}', 403),
+('RECIPIENT_CARD_FROZEN', '{"en": "Recipient card is frozen", "uz": "Qabul qiluvchining kartasi muzlatilgan", "ru": "Карта получателя заморожена"}', 403),
+('CARD_FROZEN_SUCCESS', '{"en": "Card frozen", "uz": "Karta muzlatildi", "ru": "Карта заморожена"}', 200),
+('CARD_UNFROZEN_SUCCESS', '{"en": "Card unfrozen", "uz": "Karta muzlatishdan chiqarildi", "ru": "Карта разморожена"}', 200),
+('SINGLE_LIMIT_EXCEEDED', '{"en": "Amount exceeds the single transaction limit of the card", "uz": "Summa kartaning bir martalik tranzaksiya limitidan oshib ketdi", "ru": "Сумма превышает лимит одной операции по карте"}', 403),
+('DAILY_LIMIT_EXCEEDED', '{"en": "Daily spending limit of the card is exceeded", "uz": "Kartaning kunlik xarajat limiti oshib ketdi", "ru": "Превышен дневной лимит расходов по карте"}', 403),
+('CATEGORY_LIMIT_EXCEEDED', '{"en": "Daily limit of the card for this category is exceeded", "uz": "Kartaning ushbu toifa uchun kunlik limiti oshib ketdi", "ru": "Превышен дневной лимит карты для этой категории"}', 403),
+('CUSTOMER_DAILY_LIMIT_EXCEEDED', '{"en": "Daily spending limit of all your cards is exceeded", "uz": "Barcha kartalaringiz bo''yicha kunlik xarajat limiti oshib ketdi", "ru": "Превышен дневной лимит расходов по всем вашим картам"}', 403),
+('CUSTOMER_MONTHLY_LIMIT_EXCEEDED', '{"en": "Monthly spending limit of all your cards is exceeded", "uz": "Barcha kartalaringiz bo''yicha oylik xarajat limiti oshib ketdi", "ru": "Превышен месячный лимит расходов по всем вашим картам"}', 403),
+('LIMITS_UPDATED', '{"en": "Card limits updated", "uz": "Karta limitlari yangilandi", "ru": "Лимиты карты обновлены"}', 200),
+('CARD_NETWORK_NOT_SUPPORTED', '{"en": "Cards of this payment system are not supported", "uz": "Ushbu to''lov tizimi kartalari qo''llab-quvvatlanmaydi", "ru": "Карты этой платежной системы не поддерживаются"}', 400),
+('RECIPIENT_CARD_EXPIRED', '{"en": "Recipient card is expired", "uz": "Qabul qiluvchining kartasi muddati tugagan", "ru": "Срок действия карты получателя истек"}', 403),
+('CARD_EXPIRY_UPDATED', '{"en": "Card expiry date updated", "uz": "Karta amal qilish muddati yangilandi", "ru": "Срок действия карты обновлен"}', 200),
+('SCHEDULED_PAYMENT_NOT_FOUND', '{"en": "Scheduled payment not found", "uz": "Rejalashtirilgan to''lov topilmadi", "ru": "Запланированный платеж не найден"}', 404),
+('SCHEDULED_PAYMENT_CREATED', '{"en": "Payment scheduled", "uz": "To''lov rejalashtirildi", "ru": "Платеж запланирован"}', 201),
+('SCHEDULED_PAYMENT_UPDATED', '{"en": "Scheduled payment updated", "uz": "Rejalashtirilgan to''lov yangilandi", "ru": "Запланированный платеж обновлен"}', 200),
+('SCHEDULED_PAYMENT_PAUSED', '{"en": "Scheduled payment paused", "uz": "Rejalashtirilgan to''lov to''xtatildi", "ru": "Запланированный платеж приостановлен"}', 200),
+('SCHEDULED_PAYMENT_RESUMED', '{"en": "Scheduled payment resumed", "uz": "Rejalashtirilgan to''lov qayta yoqildi", "ru": "Запланированный платеж возобновлен"}', 200),
+('SCHEDULED_PAYMENT_CANCELLED', '{"en": "Scheduled payment cancelled", "uz": "Rejalashtirilgan to''lov bekor qilindi", "ru": "Запланированный платеж отменен"}', 200),
+('TEMPLATE_NOT_FOUND', '{"en": "Template not found", "uz": "Shablon topilmadi", "ru": "Шаблон не найден"}', 404),
+('TEMPLATE_CREATED', '{"en": "Template saved", "uz": "Shablon saqlandi", "ru": "Шаблон сохранен"}', 201),
+('TEMPLATE_UPDATED', '{"en": "Template updated", "uz": "Shablon yangilandi", "ru": "Шаблон обновлен"}', 200),
+('TEMPLATE_DELETED', '{"en": "Template deleted", "uz": "Shablon o''chirildi", "ru": "Шаблон удален"}', 200),
+('SERVICE_FIELDS_CHANGED', '{"en": "Service fields have changed since the template was saved, please update the template", "uz": "Shablon saqlanganidan keyin xizmat maydonlari o''zgardi, iltimos shablonni yangilang", "ru": "Поля услуги изменились после сохранения шаблона, пожалуйста, обновите шаблон"}', 409),
+('MONEY_REQUEST_NOT_FOUND', '{"en": "Money request not found", "uz": "Pul so''rovi topilmadi", "ru": "Запрос денег не найден"}', 404),
+('MONEY_REQUEST_NOT_PENDING', '{"en": "Money request is already paid, declined, cancelled or expired", "uz": "Pul so''rovi allaqachon to''langan, rad etilgan, bekor qilingan yoki muddati tugagan", "ru": "Запрос денег уже оплачен, отклонен, отменен или истек"}', 409),
+('MONEY_REQUEST_TO_SELF', '{"en": "You can not request money from yourself", "uz": "O''zingizdan pul so''ray olmaysiz", "ru": "Нельзя запросить деньги у самого себя"}', 400),
+('MONEY_REQUEST_CREATED', '{"en": "Money request sent", "uz": "Pul so''rovi yuborildi", "ru": "Запрос денег отправлен"}', 201),
+('MONEY_REQUEST_DECLINED', '{"en": "Money request declined", "uz": "Pul so''rovi rad etildi", "ru": "Запрос денег отклонен"}', 200),
+('MONEY_REQUEST_CANCELLED', '{"en": "Money request cancelled", "uz": "Pul so''rovi bekor qilindi", "ru": "Запрос денег отменен"}', 200),
+('PAYMENT_ALREADY_SPLIT', '{"en": "This payment is already split", "uz": "Bu to''lov allaqachon bo''lingan", "ru": "Этот платеж уже разделен"}', 409),
+('SPLIT_EXCEEDS_PAYMENT', '{"en": "Sum of shares exceeds the payment amount", "uz": "Ulushlar yig''indisi to''lov summasidan oshib ketdi", "ru": "Сумма долей превышает сумму платежа"}', 400),
+('BILL_SPLIT_CREATED', '{"en": "Bill split, money requests sent", "uz": "Hisob bo''lindi, pul so''rovlari yuborildi", "ru": "Счет разделен, запросы денег отправлены"}', 201),
+('INVOICE_NOT_FOUND', '{"en": "Invoice not found", "uz": "Hisob-faktura topilmadi", "ru": "Счет не найден"}', 404),
+('INVOICE_EXPIRED', '{"en": "Invoice is expired", "uz": "Hisob-faktura muddati tugagan", "ru": "Срок оплаты счета истек"}', 400),
+('INVOICE_ALREADY_PAID', '{"en": "Invoice is already paid", "uz": "Hisob-faktura allaqachon to''langan", "ru": "Счет уже оплачен"}', 409),
+('INVOICE_CREATED', '{"en": "Invoice created", "uz": "Hisob-faktura yaratildi", "ru": "Счет создан"}', 201)
+on conflict do nothing;
+
+insert into default_spending_limit(name, amount) values
+('daily', 50000000),
+('single', 20000000),
+('customer_daily', 100000000),
+('customer_monthly', 1000000000)
+on conflict do nothing;
+
+insert into card_bin(range_start, range_end, network, bank) values
+('8600', '8600', 'uzcard', null),
+('9860', '9860', 'humo', null),
+('4', '4', 'visa', null),
+('51', '55', 'mastercard', null),
+('2221', '2720', 'mastercard', null),
+('860002', '860002', 'uzcard', 'Asaka Bank'),
+('860006', '860006', 'uzcard', 'Ipoteka Bank'),
+('860030', '860030', 'uzcard', 'Xalq Bank'),
+('860049', '860049', 'uzcard', 'Kapitalbank'),
+('986001', '986001', 'humo', 'Asaka Bank'),
+('986006', '986006', 'humo', 'Ipoteka Bank'),
+('98601800', '98601899', 'humo', 'Kapitalbank')
 on conflict do nothing;
 
 insert into service_category(code, name) values
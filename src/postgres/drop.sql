@@ -1,11 +1,25 @@
 drop table if exists payment;
 drop table if exists transfer;
+drop table if exists refund;
+drop table if exists scheduled_payment_run;
+drop table if exists scheduled_payment;
+drop table if exists payment_template;
+drop table if exists money_request;
+drop table if exists bill_split;
+drop table if exists invoice_payment;
+drop table if exists invoice;
 drop table if exists customer_saved_service;
 drop table if exists customer_device;
+drop table if exists card_category_limit;
+drop table if exists card_expiry_reminder;
+drop table if exists default_spending_limit;
 drop table if exists customer_card;
+drop table if exists card_bin;
 drop table if exists customer;
 drop table if exists message;
 drop table if exists service_field;
 drop table if exists service;
 drop table if exists service_category;
+drop table if exists merchant_backup_code;
+drop table if exists merchant_device;
 drop table if exists merchant;
\ No newline at end of file
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { POSTGRES_URL, POSTGRES_SSL } = require('../../config/secrets');
+const panCipher = require('../../utils/panCipher');
+
+// One-off migration of plaintext card numbers to encrypted ones.
+// Replaces customer_card.pan with encrypted, hashed and masked columns,
+// masks card numbers copied into transfers, adds columns that tables got since then
+// and recreates tables, indexes and procedures from create.sql.
+const pool = new Pool({
+  connectionString: POSTGRES_URL,
+  ssl: POSTGRES_SSL === 'true',
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    const { rowCount: hasPlainPan } = await client.query(`
+select 1 from information_schema.columns
+where table_name = 'customer_card' and column_name = 'pan'`);
+
+    if (!hasPlainPan) return console.log('Card numbers are already encrypted');
+
+    await client.query('begin');
+
+    await client.query(`
+alter table customer_card
+add column if not exists pan_encrypted text,
+add column if not exists pan_hash varchar(64),
+add column if not exists pan_masked varchar(16)`);
+
+    const { rows } = await client.query('select id, pan from customer_card');
+    for (const card of rows) {
+      await client.query(
+        `
+update customer_card
+set pan_encrypted = $1, pan_hash = $2, pan_masked = $3
+where id = $4`,
+        [panCipher.encrypt(card.pan), panCipher.hash(card.pan), panCipher.mask(card.pan), card.id]
+      );
+    }
+
+    // indexes on plaintext column are dropped with it
+    await client.query(`
+alter table customer_card
+alter column pan_encrypted set not null,
+alter column pan_hash set not null,
+alter column pan_masked set not null,
+drop column pan`);
+
+    await client.query(`
+update transfer set sender_pan = concat(left(sender_pan, 6), '******', right(sender_pan, 4))
+where sender_pan not like '%*%'`);
+    await client.query(`
+update transfer set receiver_pan = concat(left(receiver_pan, 6), '******', right(receiver_pan, 4))
+where receiver_pan not like '%*%'`);
+
+    // create.sql only creates missing tables, so columns added to existing ones are added here
+    await client.query(`
+alter table customer
+add column if not exists hashed_pin text,
+add column if not exists deleted_at timestamp,
+alter column phone drop not null`);
+    await client.query(`
+alter table customer_card
+add column if not exists is_primary boolean not null default false,
+add column if not exists status varchar(16) not null default 'active'
+  check (status in ('active', 'frozen')),
+add column if not exists freeze_credits boolean not null default false,
+add column if not exists daily_limit int,
+add column if not exists single_limit int,
+add column if not exists network varchar(16),
+add column if not exists bank varchar(64),
+add column if not exists created_at timestamp not null default now(),
+add column if not exists deleted boolean not null default false`);
+    await client.query(`
+alter table merchant
+add column if not exists totp_secret varchar(64),
+add column if not exists totp_enabled boolean not null default false`);
+
+    // parameter of transfer_money is renamed, so it can not be just replaced
+    await client.query('drop procedure if exists transfer_money(uuid, uuid, varchar, int)');
+    await client.query(fs.readFileSync(path.join(__dirname, '..', 'create.sql'), 'utf8'));
+
+    await client.query('commit');
+    console.log(`Card numbers encrypted: ${rows.length}`);
+  } catch (err) {
+    await client.query('rollback');
+    console.error('Error migrating card numbers:', err);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate();
@@ -1,9 +1,12 @@
 const customersQuery = {
   getOneById: `
-select *, (select sum(balance) from customer_card where customer_id = $1) as balance 
+select *, (
+  select sum(balance) from customer_card where customer_id = $1 and deleted = false
+) as balance
 from customer where id = $1`,
   getOneByPhone: 'select * from customer where phone = $1',
   delete: 'delete from customer where id = $1',
+  close: 'call delete_customer($1, null, null, null)',
   create: `
 insert into customer(name, phone, hashed_password) 
 values($1, $2, $3) 
@@ -17,6 +20,21 @@ returning (select message from message where name = 'PROFILE_UPDATED') as messag
 update customer
 set lang = $1
 where id = $2`,
+  updatePassword: `
+update customer
+set hashed_password = $1
+where id = $2
+returning (select message from message where name = 'PASSWORD_RESET') as message`,
+  updatePhone: `
+update customer
+set phone = $1
+where id = $2
+returning (select message from message where name = 'PHONE_UPDATED') as message`,
+  updatePin: `
+update customer
+set hashed_pin = $1
+where id = $2
+returning (select message from message where name = 'PIN_SET') as message`,
   addServiceToSaved: `
 insert into customer_saved_service(customer_id, service_id)
 values($1, $2)
@@ -43,28 +61,170 @@ returning (select message from message where name = 'PROFILE_UPDATED') as messag
 update merchant
 set lang = $1
 where id = $2`,
+  updatePassword: `
+update merchant
+set hashed_password = $1
+where id = $2
+returning (select message from message where name = 'PASSWORD_RESET') as message`,
+  setTotpSecret: `
+update merchant
+set totp_secret = $1, totp_enabled = false
+where id = $2`,
+  enableTotp: `
+update merchant
+set totp_enabled = true
+where id = $1
+returning (select message from message where name = 'TOTP_ENABLED') as message`,
+  disableTotp: `
+update merchant
+set totp_secret = null, totp_enabled = false
+where id = $1
+returning (select message from message where name = 'TOTP_DISABLED') as message`,
+  getBackupCodes: `
+select id, hashed_code from merchant_backup_code
+where merchant_id = $1 and used_at is null`,
+  addBackupCodes: `
+insert into merchant_backup_code(merchant_id, hashed_code)
+select $1, unnest($2::text[])`,
+  useBackupCode: `
+update merchant_backup_code
+set used_at = now()
+where id = $1 and used_at is null`,
+  deleteBackupCodes: 'delete from merchant_backup_code where merchant_id = $1',
 };
 
+const merchantDevicesQuery = {
+  create: `
+insert into merchant_device(merchant_id, device_id, name)
+values($1, $2, $3) on conflict do nothing`,
+  getAllByMerchant: `
+select id, name, last_login, CASE WHEN device_id = $2 THEN true ELSE false END AS current
+from merchant_device
+where merchant_id = $1`,
+  getOneByMerchant: `
+select * from merchant_device
+where device_id = $1 and merchant_id = $2`,
+  remove: `
+delete from merchant_device
+where id = $1 and merchant_id = $2
+returning device_id, (select message from message where name = 'UNTRUST_SUCCESS') as message`,
+  updateLastLogin: `
+update merchant_device
+set last_login = now()
+where device_id = $1 and merchant_id = $2`,
+};
+
+// encrypted card number and its hash never leave database
+const cardFields = `
+id, customer_id, name, owner_name, pan_masked as pan, expiry_month, expiry_year, balance,
+network, bank, is_primary, status, freeze_credits, daily_limit, single_limit, created_at`;
+
 const cardsQuery = {
-  getOneById:
-    'select *, mask_credit_card(pan) as pan from customer_card where id = $1 and customer_id = $2',
-  checkIsUnique: 'select customer_id from customer_card where pan = $1',
+  getOneById: `
+select ${cardFields} from customer_card
+where id = $1 and customer_id = $2 and deleted = false`,
+  getBin: `
+select network, bank from card_bin
+where left($1, length(range_start)) between range_start and range_end
+order by length(range_start) desc
+limit 1`,
+  checkIsUnique: 'select customer_id from customer_card where pan_hash = $1 and deleted = false',
   getOwnerByPan: `
 select name from customer where id = (
-  select customer_id from customer_card where pan = $1
+  select customer_id from customer_card where pan_hash = $1 and deleted = false
 )`,
+  getOwnerByPhone: `
+select c.id, mask_name(c.name) as name, c.image_url,
+  (select pan_masked from customer_card where customer_id = c.id and deleted = false
+  order by is_primary desc, created_at limit 1) as pan
+from customer c where c.phone = $1`,
+  getDefaultCardByPhone: `
+select cc.pan_hash from customer c
+left join customer_card cc on cc.customer_id = c.id and cc.deleted = false
+where c.phone = $1
+order by cc.is_primary desc, cc.created_at limit 1`,
   getAllByCustomer: `
-select *, mask_credit_card(pan) as pan
-from customer_card where customer_id = $1`,
+select ${cardFields}
+from customer_card where customer_id = $1 and deleted = false
+order by is_primary desc, created_at`,
   create: `
-insert into customer_card(customer_id, name, owner_name, pan, expiry_month, expiry_year) 
-values($1, $2, $3, $4, $5, $6)
+insert into customer_card(
+  customer_id, name, owner_name, pan_encrypted, pan_hash, pan_masked, expiry_month, expiry_year,
+  network, bank, is_primary
+)
+values($1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+  not exists(
+    select 1 from customer_card where customer_id = $1 and is_primary and deleted = false
+  ))
 returning (select message from message where name = 'CARD_ADDED') as message`,
   update: `
-update customer_card set name = $1 
-where id = $2 and customer_id = $3
+update customer_card
+set name = case when id = $2 then coalesce($1, name) else name end,
+  is_primary = case when $4 then id = $2 else is_primary end
+where customer_id = $3 and deleted = false and (id = $2 or $4)
+  and exists(select 1 from customer_card where id = $2 and customer_id = $3 and deleted = false)
 returning (select message from message where name = 'CARD_UPDATED') as message`,
   delete: `call delete_card($1, $2, null, null, null)`,
+  freeze: `
+update customer_card set status = 'frozen', freeze_credits = $1
+where id = $2 and customer_id = $3 and deleted = false
+returning (select message from message where name = 'CARD_FROZEN_SUCCESS') as message`,
+  unfreeze: `
+update customer_card set status = 'active', freeze_credits = false
+where id = $1 and customer_id = $2 and deleted = false
+returning (select message from message where name = 'CARD_UNFROZEN_SUCCESS') as message`,
+  getLimits: `
+select
+  coalesce(cc.daily_limit, (select amount from default_spending_limit where name = 'daily'))
+    as daily_limit,
+  coalesce(cc.single_limit, (select amount from default_spending_limit where name = 'single'))
+    as single_limit,
+  card_daily_spent(cc.id) as daily_spent,
+  (
+    select coalesce(jsonb_agg(jsonb_build_object(
+      'id', sc.id,
+      'code', sc.code,
+      'name', sc.name -> $3,
+      'daily_limit', l.daily_limit,
+      'daily_spent', card_daily_spent(cc.id, sc.id)
+    )), '[]')
+    from card_category_limit l
+    join service_category sc on sc.id = l.category_id
+    where l.card_id = cc.id
+  ) as categories,
+  jsonb_build_object(
+    'daily_limit', (select amount from default_spending_limit where name = 'customer_daily'),
+    'daily_spent', customer_spent(cc.customer_id, current_date),
+    'monthly_limit', (select amount from default_spending_limit where name = 'customer_monthly'),
+    'monthly_spent', customer_spent(cc.customer_id, date_trunc('month', current_date)::date)
+  ) as customer
+from customer_card cc
+where cc.id = $1 and cc.customer_id = $2 and cc.deleted = false`,
+  setLimits: `call set_card_limits($1, $2, $3, $4, $5, null, null, null)`,
+  updateExpiry: `
+update customer_card set expiry_month = $1, expiry_year = $2
+where id = $3 and customer_id = $4 and pan_hash = $5 and deleted = false
+returning (select message from message where name = 'CARD_EXPIRY_UPDATED') as message`,
+  // cards expiring within $1 days, with the latest reminder step ($1 or $2 days) not sent yet
+  getExpiring: `
+select e.*, case when e.days_left <= $2 then $2 else $1 end as days_before
+from (
+  select cc.id, cc.name, cc.pan_masked as pan, cc.expiry_month, cc.expiry_year, c.phone,
+    card_expiry_date(cc.expiry_month, cc.expiry_year) - current_date as days_left
+  from customer_card cc
+  join customer c on c.id = cc.customer_id
+  where cc.deleted = false
+) e
+where e.days_left between 0 and $1
+and not exists(
+  select 1 from card_expiry_reminder r
+  where r.card_id = e.id and r.expiry_month = e.expiry_month and r.expiry_year = e.expiry_year
+  and r.days_before <= case when e.days_left <= $2 then $2 else $1 end
+)`,
+  addExpiryReminder: `
+insert into card_expiry_reminder(card_id, expiry_month, expiry_year, days_before)
+values($1, $2, $3, $4) on conflict do nothing
+returning id`,
 };
 
 const devicesQuery = {
@@ -84,13 +244,33 @@ where device_id = $1 and customer_id = $2`,
   remove: `
 delete from customer_device
 where id = $1 and customer_id = $2
-returning (select message from message where name = 'UNTRUST_SUCCESS') as message`,
+returning device_id, (select message from message where name = 'UNTRUST_SUCCESS') as message`,
   updateLastLogin: `
 update customer_device
 set last_login = now()
 where device_id = $1 and customer_id = $2`,
 };
 
+const exportsQuery = {
+  getProfile: `
+select id, name, phone, image_url, gender, birth_date, lang, reg_date
+from customer where id = $1`,
+  getCards: `
+select id, name, owner_name, pan_masked as pan, expiry_month, expiry_year, balance
+from customer_card where customer_id = $1`,
+  getDevices: `
+select name, last_login
+from customer_device where customer_id = $1`,
+  getSavedServices: `
+select s.id, s.name
+from customer_saved_service ss
+JOIN service s on s.id = ss.service_id
+where ss.customer_id = $1`,
+  getTransactions: `
+select id, type, action, amount, created_at, sender, receiver
+from get_transactions($1, '-infinity', 'infinity', 1, null)`,
+};
+
 const messagesQuery = {
   get: 'select message -> $2 as message, http_code from message where name = $1',
 };
@@ -155,19 +335,267 @@ const transactionsQuery = {
   payForService: `call pay_for_service($1, $2, $3, $4, $5, null, null, null, null)`,
   transferMoney: `call transfer_money($1, $2, $3, $4, null, null, null, null)`,
   transferMoneyToSelf: `call transfer_money_to_self($1, $2, $3, $4, null, null, null, null)`,
+  refundPayment: `call refund_payment($1, $2, $3, $4, null, null, null, null)`,
   getTransactions: `
 select * 
 from get_transactions($1, $2, $3, $4, $5, $6, $7)`,
   getOneById: `select * from get_transaction_by_id($1, $2, $3)`,
 };
 
+const scheduledPaymentsQuery = {
+  getOneById: `
+select * from scheduled_payment
+where id = $1 and customer_id = $2 and status <> 'cancelled'`,
+  getAllByCustomer: `
+select sp.id, sp.amount, sp.fields, sp.period, sp.next_run_at, sp.retry_at, sp.status,
+  sp.created_at,
+  json_build_object('id', s.id, 'name', s.name, 'image_url', s.image_url) as service,
+  json_build_object('id', cc.id, 'name', cc.name, 'pan', cc.pan_masked) as card,
+  (
+    select json_build_object(
+      'status', r.status, 'error_code', r.error_code, 'created_at', r.created_at
+    )
+    from scheduled_payment_run r where r.scheduled_payment_id = sp.id
+    order by r.created_at desc limit 1
+  ) as last_run
+from scheduled_payment sp
+join service s on s.id = sp.service_id
+join customer_card cc on cc.id = sp.card_id
+where sp.customer_id = $1 and sp.status <> 'cancelled'
+order by sp.created_at desc`,
+  getRuns: `
+select id, payment_id, amount, status, error_code, created_at
+from scheduled_payment_run
+where scheduled_payment_id = $1
+order by created_at desc`,
+  create: `
+insert into scheduled_payment(customer_id, card_id, service_id, amount, fields, period, next_run_at)
+values($1, $2, $3, $4, $5, $6, $7)
+returning id, (select message from message where name = 'SCHEDULED_PAYMENT_CREATED') as message`,
+  update: `
+update scheduled_payment
+set card_id = $1, amount = $2, fields = $3, period = $4, next_run_at = $5,
+  retries = 0, retry_at = null
+where id = $6 and customer_id = $7 and status in ('active', 'paused')
+returning (select message from message where name = 'SCHEDULED_PAYMENT_UPDATED') as message`,
+  pause: `
+update scheduled_payment set status = 'paused'
+where id = $1 and customer_id = $2 and status = 'active'
+returning (select message from message where name = 'SCHEDULED_PAYMENT_PAUSED') as message`,
+  // recurring payment continues from its next date, missed ones are not paid
+  resume: `
+update scheduled_payment
+set status = 'active', retries = 0, retry_at = null,
+  next_run_at = case
+    when period is not null and next_run_at < now() then next_schedule_date(next_run_at, period)
+    else next_run_at
+  end
+where id = $1 and customer_id = $2 and status = 'paused'
+returning (select message from message where name = 'SCHEDULED_PAYMENT_RESUMED') as message`,
+  cancel: `
+update scheduled_payment set status = 'cancelled'
+where id = $1 and customer_id = $2 and status in ('active', 'paused')
+returning (select message from message where name = 'SCHEDULED_PAYMENT_CANCELLED') as message`,
+  // takes due payments for a while, so they are not run twice by another instance
+  takeDue: `
+update scheduled_payment set locked_until = now() + interval '5 minutes'
+where id in (
+  select id from scheduled_payment
+  where status = 'active' and coalesce(retry_at, next_run_at) <= now()
+  and (locked_until is null or locked_until < now())
+  order by next_run_at
+  limit $1
+  for update skip locked
+)
+returning id`,
+  run: `call run_scheduled_payment($1, $2, $3, null, null, null)`,
+};
+
+// template can not be paid if fields of the service were added or removed since it was saved
+const templateFieldsChanged = `
+(
+  select coalesce(array_agg(f.id::text order by f.id::text), '{}') from service_field f
+  where f.service_id = t.service_id and f.deleted = false
+) <> (
+  select coalesce(array_agg(k order by k), '{}') from jsonb_object_keys(t.fields) k
+) as fields_changed`;
+
+const templatesQuery = {
+  getOneById: `
+select t.*, ${templateFieldsChanged}
+from payment_template t
+where t.id = $1 and t.customer_id = $2`,
+  getAllByCustomer: `
+select t.id, t.name, t.amount, t.fields, t.created_at,
+  json_build_object('id', s.id, 'name', s.name, 'image_url', s.image_url) as service,
+  case when cc.id is not null
+    then json_build_object('id', cc.id, 'name', cc.name, 'pan', cc.pan_masked)
+  end as card,
+  ${templateFieldsChanged}
+from payment_template t
+join service s on s.id = t.service_id and s.deleted = false
+left join customer_card cc on cc.id = t.card_id and cc.deleted = false
+where t.customer_id = $1
+order by t.created_at desc`,
+  getPayment: `
+select receiver_id as service_id, sender_id as card_id, amount, fields
+from payment
+where id = $1 and owner_id = $2 and type = 'expense'`,
+  create: `
+insert into payment_template(customer_id, name, service_id, card_id, amount, fields)
+values($1, $2, $3, $4, $5, $6)
+returning id, (select message from message where name = 'TEMPLATE_CREATED') as message`,
+  update: `
+update payment_template
+set name = $1, card_id = $2, amount = $3, fields = $4
+where id = $5 and customer_id = $6
+returning (select message from message where name = 'TEMPLATE_UPDATED') as message`,
+  delete: `
+delete from payment_template
+where id = $1 and customer_id = $2
+returning (select message from message where name = 'TEMPLATE_DELETED') as message`,
+};
+
+// other side of the request sees masked name only
+const moneyRequestFields = `
+r.id, r.amount, r.note, r.transfer_id, r.split_id, r.expires_at, r.created_at,
+case when r.status = 'pending' and r.expires_at < now() then 'expired' else r.status end as status,
+json_build_object('name', mask_name(rq.name), 'phone', rq.phone, 'image_url', rq.image_url)
+  as requester,
+json_build_object('name', mask_name(p.name), 'phone', p.phone, 'image_url', p.image_url) as payer`;
+
+const moneyRequestsQuery = {
+  getOneById: `
+select r.requester_id, r.payer_id, ${moneyRequestFields}
+from money_request r
+join customer rq on rq.id = r.requester_id
+join customer p on p.id = r.payer_id
+where r.id = $1`,
+  getAllByCustomer: `
+select ${moneyRequestFields},
+  case when r.requester_id = $1 then 'outgoing' else 'incoming' end as direction
+from money_request r
+join customer rq on rq.id = r.requester_id
+join customer p on p.id = r.payer_id
+where r.requester_id = $1 or r.payer_id = $1
+order by r.created_at desc`,
+  // money goes to given card of requester, or to the primary one
+  create: `
+insert into money_request(requester_id, payer_id, card_id, amount, note, expires_at)
+select $1, $2, cc.id, $4, $5, now() + make_interval(days => $6)
+from customer_card cc
+where cc.customer_id = $1 and cc.deleted = false and ($3::uuid is null or cc.id = $3::uuid)
+order by cc.is_primary desc, cc.created_at
+limit 1
+returning id, (select message from message where name = 'MONEY_REQUEST_CREATED') as message`,
+  // amount to confirm, request is checked again when it is paid
+  getForPayer: `
+select r.id, r.amount,
+  case when r.status = 'pending' and r.expires_at < now() then 'expired' else r.status end as status
+from money_request r
+where r.id = $1 and r.payer_id = $2`,
+  pay: `call pay_money_request($1, $2, $3, null, null, null, null)`,
+  decline: `
+update money_request set status = 'declined'
+where id = $1 and payer_id = $2 and status = 'pending' and expires_at > now()
+returning (select message from message where name = 'MONEY_REQUEST_DECLINED') as message`,
+  cancel: `
+update money_request set status = 'cancelled'
+where id = $1 and requester_id = $2 and status = 'pending' and expires_at > now()
+returning (select message from message where name = 'MONEY_REQUEST_CANCELLED') as message`,
+  expire: `
+update money_request set status = 'expired'
+where status = 'pending' and expires_at < now()
+returning id`,
+  createSplit: `call create_bill_split($1, $2, $3, $4, $5, null, null, null, null)`,
+  getSplitRequests: 'select id from money_request where split_id = $1',
+  getSplitByPayment: `
+select bs.id, bs.created_at,
+  case
+    when bool_and(r.status = 'paid') then 'completed'
+    when bool_or(r.status = 'pending' and r.expires_at > now()) then 'open'
+    else 'closed'
+  end as status,
+  sum(r.amount)::int as total,
+  coalesce(sum(r.amount) filter (where r.status = 'paid'), 0)::int as paid,
+  json_agg(json_build_object(
+    'id', r.id,
+    'name', mask_name(c.name),
+    'phone', c.phone,
+    'amount', r.amount,
+    'status',
+    case when r.status = 'pending' and r.expires_at < now() then 'expired' else r.status end
+  ) order by r.created_at) as requests
+from bill_split bs
+join money_request r on r.split_id = bs.id
+join customer c on c.id = r.payer_id
+where bs.payment_id = $1 and bs.customer_id = $2
+group by bs.id`,
+};
+
+// invoice for single use is paid by the first payment, reusable one when it is due
+const invoiceStatus = `
+case
+  when exists(select 1 from invoice_payment ip where ip.invoice_id = i.id)
+    and (i.single_use or i.due_date < current_date) then 'paid'
+  when i.due_date < current_date then 'expired'
+  else 'pending'
+end as status`;
+
+const invoicesQuery = {
+  create: `
+insert into invoice(
+  merchant_id, service_id, amount, fields, description, due_date, single_use, public_key
+)
+values($1, $2, $3, $4, $5, $6, $7, $8)
+returning id, public_key,
+  (select message from message where name = 'INVOICE_CREATED') as message`,
+  getAllByMerchant: `
+select i.id, i.service_id, i.amount, i.fields, i.description, i.due_date, i.single_use,
+  i.public_key, i.created_at, ${invoiceStatus},
+  (select count(*)::int from invoice_payment ip where ip.invoice_id = i.id) as payments_count
+from invoice i
+where i.merchant_id = $1
+order by i.created_at desc`,
+  getOnePublicByKey: `
+select i.amount, i.description, i.due_date, i.single_use, ${invoiceStatus},
+  json_build_object('id', s.id, 'name', s.name, 'image_url', s.image_url) as service,
+  (
+    select json_agg(json_build_object(
+      'id', f.id,
+      'name', f.name,
+      'type', f.type,
+      'order', f.order_num,
+      'value', i.fields ->> f.id::text
+    ) order by f.order_num)
+    from service_field f where f.service_id = s.id and f.deleted = false
+  ) as fields
+from invoice i
+join service s on s.id = i.service_id and s.deleted = false
+where i.public_key = $1`,
+  // amount to confirm, invoice is checked again when it is paid
+  getForPayment: `
+select i.id, i.service_id, i.amount, i.single_use,
+  i.due_date < current_date as expired,
+  exists(select 1 from invoice_payment ip where ip.invoice_id = i.id) as paid
+from invoice i
+where i.public_key = $1`,
+  pay: `call pay_invoice($1, $2, $3, $4, null, null, null, null)`,
+};
+
 module.exports = {
   customersQuery,
   cardsQuery,
   messagesQuery,
   devicesQuery,
   merchantsQuery,
+  merchantDevicesQuery,
   categoriesQuery,
   servicesQuery,
   transactionsQuery,
+  scheduledPaymentsQuery,
+  templatesQuery,
+  moneyRequestsQuery,
+  invoicesQuery,
+  exportsQuery,
 };
@@ -41,6 +41,40 @@ class RedisClient {
     return this.execute(this.client.hDel(key, field), cb);
   }
 
+  get(key, cb) {
+    return this.execute(this.client.get(key), cb);
+  }
+
+  set(key, value, ttl, cb) {
+    const options = ttl ? { EX: ttl } : undefined;
+    return this.execute(this.client.set(key, value, options), cb);
+  }
+
+  // sets value only if key does not exist, resolves null otherwise
+  setNX(key, value, ttl, cb) {
+    return this.execute(this.client.set(key, value, { NX: true, EX: ttl }), cb);
+  }
+
+  del(key, cb) {
+    return this.execute(this.client.del(key), cb);
+  }
+
+  expire(key, ttl, cb) {
+    return this.execute(this.client.expire(key, ttl), cb);
+  }
+
+  sAdd(key, member, cb) {
+    return this.execute(this.client.sAdd(key, member), cb);
+  }
+
+  sRem(key, member, cb) {
+    return this.execute(this.client.sRem(key, member), cb);
+  }
+
+  sMembers(key, cb) {
+    return this.execute(this.client.sMembers(key), cb);
+  }
+
   flushall(cb) {
     return this.execute(this.client.flushAll(), cb);
   }
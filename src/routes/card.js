@@ -4,8 +4,14 @@ const {
   getCustomerCards,
   updateCard,
   deleteCard,
+  freezeCard,
+  unfreezeCard,
+  getCardLimits,
+  updateCardLimits,
+  updateCardExpiry,
   getOneById,
   getOnwerByPan,
+  getOwnerByPhone,
 } = require('../controllers/card');
 const router = express.Router();
 
@@ -13,7 +19,13 @@ router.post('/', createCard);
 router.get('/', getCustomerCards);
 router.put('/', updateCard);
 router.delete('/', deleteCard);
+router.post('/freeze', freezeCard);
+router.post('/unfreeze', unfreezeCard);
+router.put('/limits', updateCardLimits);
+router.put('/expiry', updateCardExpiry);
+router.get('/:id/limits', getCardLimits);
 router.post('/owner', getOnwerByPan);
+router.post('/owner/phone', getOwnerByPhone);
 router.get('/:id', getOneById);
 
 module.exports = router;
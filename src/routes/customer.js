@@ -11,8 +11,48 @@ const {
   removeServiceFromSaved,
   sendCodeToPhone,
   allowLoginByQR,
+  refreshCustomerToken,
+  logoutCustomer,
+  requestPasswordReset,
+  confirmPasswordReset,
+  sendCodeToNewPhone,
+  updateCustomerPhone,
+  sendCodeToCloseAccount,
+  closeCustomerAccount,
+  setPaymentPin,
 } = require('../controllers/customer');
-const { getAllDevices, untrustDevice, endOtherSessions } = require('../controllers/device');
+const {
+  getAllDevices,
+  untrustDevice,
+  endOtherSessions,
+  getAllSessions,
+} = require('../controllers/device');
+const { requestDataExport, getDataExport } = require('../controllers/export');
+const {
+  createScheduledPayment,
+  getScheduledPayments,
+  getScheduledPaymentRuns,
+  updateScheduledPayment,
+  pauseScheduledPayment,
+  resumeScheduledPayment,
+  cancelScheduledPayment,
+} = require('../controllers/scheduledPayment');
+const {
+  createTemplate,
+  getTemplates,
+  updateTemplate,
+  deleteTemplate,
+  payFromTemplate,
+} = require('../controllers/template');
+const {
+  createMoneyRequest,
+  getMoneyRequests,
+  payMoneyRequest,
+  declineMoneyRequest,
+  cancelMoneyRequest,
+  createBillSplit,
+} = require('../controllers/moneyRequest');
+const idempotency = require('../middleware/idempotency');
 const router = express.Router();
 
 router.get('/profile', getCustomerProfile);
@@ -21,13 +61,43 @@ router.post('/getlogin', getCustomerLoginType);
 router.post('/sendcode', sendCodeToPhone);
 router.post('/login', loginCustomer);
 router.post('/login/qr', allowLoginByQR);
+router.post('/token/refresh', refreshCustomerToken);
+router.post('/logout', logoutCustomer);
+router.post('/password/reset', requestPasswordReset);
+router.post('/password/reset/confirm', confirmPasswordReset);
 router.put('/profile', updateCustomer);
+router.post('/profile/deletecode', sendCodeToCloseAccount);
+router.delete('/profile', closeCustomerAccount);
 router.put('/lang', updateCustomerLang);
+router.post('/phone/sendcode', sendCodeToNewPhone);
+router.put('/phone', updateCustomerPhone);
+router.put('/pin', setPaymentPin);
 router.post('/services', addServiceToSaved);
 router.delete('/services', removeServiceFromSaved);
 router.delete('/device', untrustDevice);
 router.get('/device', getAllDevices);
 router.post('/endsessions', endOtherSessions);
+router.get('/sessions', getAllSessions);
+router.post('/export', requestDataExport);
+router.get('/export', getDataExport);
+router.post('/autopay', createScheduledPayment);
+router.get('/autopay', getScheduledPayments);
+router.put('/autopay', updateScheduledPayment);
+router.delete('/autopay', cancelScheduledPayment);
+router.post('/autopay/pause', pauseScheduledPayment);
+router.post('/autopay/resume', resumeScheduledPayment);
+router.get('/autopay/:id/runs', getScheduledPaymentRuns);
+router.post('/templates', createTemplate);
+router.get('/templates', getTemplates);
+router.put('/templates', updateTemplate);
+router.delete('/templates', deleteTemplate);
+router.post('/templates/pay', idempotency('customer'), payFromTemplate);
+router.post('/requests', createMoneyRequest);
+router.get('/requests', getMoneyRequests);
+router.delete('/requests', cancelMoneyRequest);
+router.post('/requests/pay', idempotency('customer'), payMoneyRequest);
+router.post('/requests/decline', declineMoneyRequest);
+router.post('/requests/split', createBillSplit);
 
 // FAKE OTP GETTER
 router.get('/otp/recievebysms', getOtpFromSMS);
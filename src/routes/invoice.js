@@ -0,0 +1,16 @@
+const express = require('express');
+const idempotency = require('../middleware/idempotency');
+const {
+  createInvoice,
+  getMerchantInvoices,
+  getInvoiceByKey,
+  payInvoice,
+} = require('../controllers/invoice');
+const router = express.Router();
+
+router.post('/', createInvoice);
+router.get('/merchant', getMerchantInvoices);
+router.post('/pay', idempotency('customer'), payInvoice);
+router.get('/public/:key', getInvoiceByKey);
+
+module.exports = router;
@@ -2,18 +2,37 @@ const express = require('express');
 const {
   getMerchantProfile,
   registerMerchant,
+  getMerchantLoginType,
   loginMerchant,
   updateMerchant,
   updateMerchantLang,
   sendCodeToEmail,
+  refreshMerchantToken,
+  logoutMerchant,
+  logoutMerchantEverywhere,
+  requestPasswordReset,
+  confirmPasswordReset,
 } = require('../controllers/merchant');
+const { getAllMerchantDevices, untrustMerchantDevice } = require('../controllers/device');
+const { setupTotp, enableTotp, disableTotp } = require('../controllers/totp');
 const router = express.Router();
 
 router.get('/profile', getMerchantProfile);
 router.post('/sendcode', sendCodeToEmail);
 router.post('/register', registerMerchant);
+router.post('/getlogin', getMerchantLoginType);
 router.post('/login', loginMerchant);
+router.post('/token/refresh', refreshMerchantToken);
+router.post('/logout', logoutMerchant);
+router.post('/logout/all', logoutMerchantEverywhere);
+router.post('/password/reset', requestPasswordReset);
+router.post('/password/reset/confirm', confirmPasswordReset);
 router.put('/profile', updateMerchant);
 router.put('/lang', updateMerchantLang);
+router.get('/device', getAllMerchantDevices);
+router.delete('/device', untrustMerchantDevice);
+router.post('/totp', setupTotp);
+router.post('/totp/confirm', enableTotp);
+router.delete('/totp', disableTotp);
 
 module.exports = router;
@@ -5,12 +5,17 @@ const {
   transferMoneyToSelf,
   getTransactions,
   getOneTransaction,
+  sendCodeForTransaction,
+  refundPayment,
 } = require('../controllers/transaction');
+const idempotency = require('../middleware/idempotency');
 const router = express.Router();
 
-router.post('/pay', payForService);
-router.post('/transfer', transferMoney);
-router.post('/transfer/self', transferMoneyToSelf);
+router.post('/sendcode', sendCodeForTransaction);
+router.post('/pay', idempotency('customer'), payForService);
+router.post('/transfer', idempotency('customer'), transferMoney);
+router.post('/transfer/self', idempotency('customer'), transferMoneyToSelf);
+router.post('/refund', idempotency('merchant'), refundPayment);
 router.post('/', getTransactions);
 router.get('/:type/:transactionId', getOneTransaction);
 
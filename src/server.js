@@ -7,6 +7,7 @@ const merchantRouter = require('./routes/merchant');
 const categoryRouter = require('./routes/category');
 const serviceRouter = require('./routes/service');
 const transactionRouter = require('./routes/transaction');
+const invoiceRouter = require('./routes/invoice');
 const apiErrorHandler = require('./middleware/apiErrorHandler');
 const useragent = require('express-useragent');
 
@@ -23,6 +24,7 @@ app.use('/merchant', merchantRouter);
 app.use('/category', categoryRouter);
 app.use('/service', serviceRouter);
 app.use('/transaction', transactionRouter);
+app.use('/invoice', invoiceRouter);
 app.use(apiErrorHandler);
 
 app.get('/', (_, res) => {
@@ -0,0 +1,14 @@
+const verifyToken = require('../../middleware/verifyToken');
+const { customerRoom } = require('../rooms');
+
+async function customerSubscribe(socket) {
+  // token is sent in authorization header of the handshake, same as in http requests
+  const customerId = await new Promise((resolve, reject) => {
+    verifyToken(socket.handshake, 'customer', (err, id) => (err ? reject(err) : resolve(id)));
+  });
+
+  socket.join(customerRoom(customerId));
+  socket.emit('customer_subscribed');
+}
+
+module.exports = customerSubscribe;
@@ -2,8 +2,10 @@ const LIVR = require('livr');
 const crypto = require('crypto');
 const base64url = require('base64url');
 const moment = require('moment');
+const useragent = require('express-useragent');
 const ValidationError = require('../../errors/ValidationError');
 const redis = require('../../redis');
+const deviceInfo = require('../../utils/deviceInfo');
 
 async function qrLoginRequest(socket) {
   const deviceId = socket.handshake.headers.deviceid;
@@ -20,7 +22,8 @@ async function qrLoginRequest(socket) {
     deviceId: validData.deviceId,
     exp: moment().add(2, 'minutes').toISOString(),
     socketId: socket.id,
-  }; 
+    device: deviceInfo(useragent.parse(socket.handshake.headers['user-agent'] || '')),
+  };
 
   const oldKey = await redis.hDel('qr_login', deviceId);
   if (oldKey) await redis.hDel('qr_login', oldKey);
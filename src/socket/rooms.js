@@ -0,0 +1,4 @@
+// sockets of the customer join this room after subscribing with access token
+const customerRoom = (customerId) => `customer:${customerId}`;
+
+module.exports = { customerRoom };
@@ -1,5 +1,6 @@
 const { Server } = require('socket.io');
 const qrLoginRequest = require('./events/qrLogin');
+const customerSubscribe = require('./events/customerSubscribe');
 const errorHandler = require('./errorHandler');
 
 const io = new Server({
@@ -10,6 +11,7 @@ const io = new Server({
 
 io.on('connection', (socket) => {
   socket.on('qr_login_request', errorHandler(socket, qrLoginRequest));
+  socket.on('customer_subscribe', errorHandler(socket, customerSubscribe));
 });
 
 module.exports = io;
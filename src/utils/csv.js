@@ -0,0 +1,16 @@
+const escape = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// converts rows to csv, columns: [{ header, value: (row) => any }]
+const toCsv = (rows, columns) => {
+  const header = columns.map((column) => escape(column.header)).join(',');
+  const lines = rows.map((row) => columns.map((column) => escape(column.value(row))).join(','));
+
+  return [header, ...lines].join('\r\n');
+};
+
+module.exports = toCsv;
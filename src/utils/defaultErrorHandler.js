@@ -28,6 +28,7 @@ const defaultErrorHandler = (err, lang, cb) => {
         errorObject && (message = errorObject.message.replace('{0}', err.message));
         break;
       case 'USER_BLOCKED':
+      case 'PIN_BLOCKED':
       case 'TRY_AGAIN_AFTER':
         if (errorObject) {
           info = { ...info, message: errorObject.message };
@@ -0,0 +1,10 @@
+const deviceInfo = (useragent) => {
+  let { browser, version, os, platform } = useragent;
+
+  platform = platform === 'unknown' ? '' : platform;
+  os = os === 'unknown' ? '' : os;
+
+  return `${platform} ${os} ${browser} ${version}`.trim();
+};
+
+module.exports = deviceInfo;
@@ -14,4 +14,18 @@ const sendVerification = async (email, code) => {
   }
 };
 
-module.exports = { sendVerification };
+const sendPasswordReset = async (email, code) => {
+  try {
+    const subject = 'Reset your password';
+    const text = `Your password reset code is: ${code}`;
+    const html = `<p>Your password reset code is: <b>${code}</b></p>`;
+
+    const result = await gmail.sendEmail({ to: email, subject, text, html });
+
+    return result;
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = { sendVerification, sendPasswordReset };
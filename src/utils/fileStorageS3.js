@@ -1,5 +1,6 @@
 const v4 = require('uuid').v4;
-const { S3, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { S3, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const CustomError = require('../errors/CustomError');
 const {
   AWS_BUCKET_NAME,
@@ -49,6 +50,31 @@ class fileStorageS3 {
     }
   }
 
+  // uploads file which is accessible only by signed url
+  uploadPrivateFile(body, fileName, contentType, cb) {
+    const params = {
+      Bucket: this.bucketName,
+      Key: fileName,
+      Body: body,
+      ContentType: contentType,
+      ACL: 'private',
+    };
+
+    this.s3.send(new PutObjectCommand(params), (err) => {
+      if (err) return cb(new CustomError('FILE_UPLOAD_ERROR', err.message));
+
+      cb(null, fileName);
+    });
+  }
+
+  getSignedFileUrl(fileName, expiresIn, cb) {
+    const command = new GetObjectCommand({ Bucket: this.bucketName, Key: fileName });
+
+    getSignedUrl(this.s3, command, { expiresIn })
+      .then((url) => cb(null, url))
+      .catch((err) => cb(new CustomError('FILE_READER_ERROR', err.message)));
+  }
+
   delete(fileName, cb) {
     cb = cb || function () {};
     try {
@@ -17,6 +17,12 @@ LIVR.Validator.registerAliasedDefaultRule({
   error: 'NOT_PHONE_NUMBER',
 });
 
+LIVR.Validator.registerAliasedDefaultRule({
+  name: 'is_pin',
+  rules: { like: '^\\d{4,6}$' },
+  error: 'NOT_PIN',
+});
+
 LIVR.Validator.registerDefaultRules({
   past_date(offset = 0) {
     return (value) => {
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { PAN_SECRET_KEY, NODE_ENV } = require('../config/secrets');
+
+// card numbers are stored encrypted, lookups are done by keyed hash,
+// and only masked value is ever read back from database
+if (!PAN_SECRET_KEY && NODE_ENV === 'production') throw new Error('PAN_SECRET_KEY is not set');
+
+const secret = PAN_SECRET_KEY || 'development-pan-secret';
+const deriveKey = (purpose) => crypto.createHmac('sha256', secret).update(purpose).digest();
+
+const ENCRYPTION_KEY = deriveKey('pan-encryption');
+const HASH_KEY = deriveKey('pan-hash');
+
+// aes-256-gcm, stored as base64 of iv + auth tag + ciphertext
+const encrypt = (pan) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(pan, 'utf8'), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+};
+
+const decrypt = (value) => {
+  const data = Buffer.from(value, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, data.slice(0, 12));
+  decipher.setAuthTag(data.slice(12, 28));
+
+  return Buffer.concat([decipher.update(data.slice(28)), decipher.final()]).toString('utf8');
+};
+
+const hash = (pan) => crypto.createHmac('sha256', HASH_KEY).update(pan).digest('hex');
+
+const mask = (pan) => `${pan.slice(0, 6)}******${pan.slice(-4)}`;
+
+module.exports = {
+  encrypt,
+  decrypt,
+  hash,
+  mask,
+};
@@ -0,0 +1,93 @@
+const redis = require('../redis');
+
+// lifetimes in seconds
+const ACCESS_TOKEN_TTL = 15 * 60;
+const SESSION_TTL = 30 * 24 * 60 * 60;
+
+// every record is a separate key, so redis expires them on its own
+const keys = {
+  session: (sessionId) => `session:${sessionId}`,
+  token: (token) => `token:${token}`,
+  refreshToken: (refreshToken) => `refresh_token:${refreshToken}`,
+  index: (role, ownerId) => `sessions:${role}:${ownerId}`,
+};
+
+const parse = (value) => (value ? JSON.parse(value) : null);
+
+async function getSession(sessionId) {
+  return parse(await redis.get(keys.session(sessionId)));
+}
+
+// saves session and adds it to the index of its owner
+async function saveSession(sessionId, session) {
+  const index = keys.index(session.role, session.id);
+
+  await redis.set(keys.session(sessionId), JSON.stringify(session), SESSION_TTL);
+  await redis.sAdd(index, sessionId);
+  await redis.expire(index, SESSION_TTL);
+}
+
+async function removeSession(sessionId) {
+  const session = await getSession(sessionId);
+  if (!session) return;
+
+  await redis.del(keys.token(session.token));
+  await redis.del(keys.refreshToken(session.refreshToken));
+  await redis.del(keys.session(sessionId));
+  await redis.sRem(keys.index(session.role, session.id), sessionId);
+}
+
+// returns alive sessions of the owner, dropping expired ones from the index
+async function getOwnerSessions(role, ownerId) {
+  const index = keys.index(role, ownerId);
+  const sessionIds = (await redis.sMembers(index)) || [];
+  const sessions = [];
+
+  for (const sessionId of sessionIds) {
+    const session = await getSession(sessionId);
+
+    if (session) sessions.push({ ...session, sessionId });
+    else await redis.sRem(index, sessionId);
+  }
+
+  return sessions;
+}
+
+async function getToken(token) {
+  return parse(await redis.get(keys.token(token)));
+}
+
+async function saveToken(token, details) {
+  await redis.set(keys.token(token), JSON.stringify(details), ACCESS_TOKEN_TTL);
+}
+
+async function removeToken(token) {
+  await redis.del(keys.token(token));
+}
+
+async function getRefreshToken(refreshToken) {
+  return redis.get(keys.refreshToken(refreshToken));
+}
+
+async function saveRefreshToken(refreshToken, sessionId) {
+  await redis.set(keys.refreshToken(refreshToken), sessionId, SESSION_TTL);
+}
+
+async function removeRefreshToken(refreshToken) {
+  await redis.del(keys.refreshToken(refreshToken));
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  SESSION_TTL,
+  getSession,
+  saveSession,
+  removeSession,
+  getOwnerSessions,
+  getToken,
+  saveToken,
+  removeToken,
+  getRefreshToken,
+  saveRefreshToken,
+  removeRefreshToken,
+};
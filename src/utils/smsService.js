@@ -21,4 +21,14 @@ const sendVerification = async (phone, code) => {
   }
 };
 
-module.exports = { sendVerification };
+const sendCardExpiryReminder = async (phone, pan, daysLeft) => {
+  try {
+    const msg = `AttoPay: Your card ${pan} expires in ${daysLeft} days. Please renew it in the app`;
+    const response = await sendSms(phone, msg);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = { sendVerification, sendCardExpiryReminder };
@@ -0,0 +1,139 @@
+const v4 = require('uuid').v4;
+const moment = require('moment');
+const sessionStore = require('./sessionStore');
+const CustomError = require('../errors/CustomError');
+
+const { ACCESS_TOKEN_TTL } = sessionStore;
+
+// issues new access and refresh tokens for the session
+async function issueTokens(sessionId, session) {
+  const token = v4();
+  const refreshToken = v4();
+
+  await sessionStore.saveToken(token, {
+    id: session.id,
+    role: session.role,
+    session: sessionId,
+    exp: moment().add(ACCESS_TOKEN_TTL, 'seconds').valueOf(),
+  });
+  await sessionStore.saveRefreshToken(refreshToken, sessionId);
+
+  session.token = token;
+  session.refreshToken = refreshToken;
+  session.lastUsedAt = moment().valueOf();
+  await sessionStore.saveSession(sessionId, session);
+
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+// starts new session, ending the previous one of the owner on the same device
+async function createSession({ id, role, deviceId, device }, cb) {
+  try {
+    if (deviceId) {
+      const sessions = await sessionStore.getOwnerSessions(role, id);
+
+      for (const old of sessions) {
+        if (old.deviceId === deviceId) await sessionStore.removeSession(old.sessionId);
+      }
+    }
+
+    const session = { id, role, deviceId, device, createdAt: moment().valueOf() };
+    const tokens = await issueTokens(v4(), session);
+
+    cb(null, tokens);
+  } catch (error) {
+    cb(error);
+  }
+}
+
+// rotates refresh token, revoking the session if an old one is reused
+async function refreshSession({ refreshToken, role, deviceId }, cb) {
+  try {
+    const sessionId = await sessionStore.getRefreshToken(refreshToken);
+    if (!sessionId) return cb(new CustomError('INVALID_TOKEN'));
+
+    const session = await sessionStore.getSession(sessionId);
+    if (!session) {
+      await sessionStore.removeRefreshToken(refreshToken);
+      return cb(new CustomError('INVALID_TOKEN'));
+    }
+
+    // token was already rotated, someone else holds the session
+    if (session.refreshToken !== refreshToken) {
+      await sessionStore.removeRefreshToken(refreshToken);
+      await sessionStore.removeSession(sessionId);
+      return cb(new CustomError('REFRESH_TOKEN_REUSED'));
+    }
+
+    // session is bound to the role and device it was created for
+    if (session.role !== role) return cb(new CustomError('NOT_ALLOWED'));
+    if (session.deviceId && session.deviceId !== deviceId)
+      return cb(new CustomError('NOT_ALLOWED'));
+
+    // old refresh token is kept until it expires to detect its reuse
+    await sessionStore.removeToken(session.token);
+    const tokens = await issueTokens(sessionId, session);
+
+    cb(null, tokens);
+  } catch (error) {
+    cb(error);
+  }
+}
+
+async function endSession(sessionId, cb) {
+  try {
+    await sessionStore.removeSession(sessionId);
+    cb(null);
+  } catch (error) {
+    cb(error);
+  }
+}
+
+// ends sessions of the owner, optionally keeping the given one
+async function endAllSessions(role, ownerId, exceptSessionId, cb) {
+  try {
+    const sessions = await sessionStore.getOwnerSessions(role, ownerId);
+
+    for (const session of sessions) {
+      if (session.sessionId !== exceptSessionId)
+        await sessionStore.removeSession(session.sessionId);
+    }
+
+    cb(null);
+  } catch (error) {
+    cb(error);
+  }
+}
+
+// ends sessions of the owner on given device
+async function endDeviceSessions(role, ownerId, deviceId, cb) {
+  try {
+    const sessions = await sessionStore.getOwnerSessions(role, ownerId);
+
+    for (const session of sessions) {
+      if (session.deviceId === deviceId) await sessionStore.removeSession(session.sessionId);
+    }
+
+    cb(null);
+  } catch (error) {
+    cb(error);
+  }
+}
+
+async function getSessions(role, ownerId, cb) {
+  try {
+    const sessions = await sessionStore.getOwnerSessions(role, ownerId);
+    cb(null, sessions);
+  } catch (error) {
+    cb(error);
+  }
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  endSession,
+  endAllSessions,
+  endDeviceSessions,
+  getSessions,
+};
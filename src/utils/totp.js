@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords, compatible with authenticator apps
+const ISSUER = 'Atto Pay';
+const STEP = 30; // seconds
+const DIGITS = 6;
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => (bits += byte.toString(2).padStart(8, '0')));
+
+  let result = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    result += ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+
+  return result;
+};
+
+const base32Decode = (str) => {
+  let bits = '';
+  str
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .forEach((char) => (bits += ALPHABET.indexOf(char).toString(2).padStart(5, '0')));
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateCode = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  buffer.writeUInt32BE(counter % 0x100000000, 4);
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// accepts codes of adjacent steps to tolerate clock drift of the device
+const verify = (secret, code, window = 1) => {
+  const counter = Math.floor(Date.now() / 1000 / STEP);
+
+  for (let i = -window; i <= window; i++) {
+    if (generateCode(secret, counter + i) === String(code)) return true;
+  }
+
+  return false;
+};
+
+// uri for qr code scanned by authenticator apps
+const keyUri = (secret, account) => {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}`;
+};
+
+module.exports = {
+  generateSecret,
+  verify,
+  keyUri,
+};
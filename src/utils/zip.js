@@ -0,0 +1,16 @@
+const archiver = require('archiver');
+
+// packs files into zip archive in memory, files: [{ name, content }]
+const zip = (files, cb) => {
+  const archive = archiver('zip');
+  const chunks = [];
+
+  archive.on('data', (chunk) => chunks.push(chunk));
+  archive.on('error', (err) => cb(err));
+  archive.on('end', () => cb(null, Buffer.concat(chunks)));
+
+  files.forEach(({ name, content }) => archive.append(content, { name }));
+  archive.finalize();
+};
+
+module.exports = zip;
@@ -0,0 +1,568 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const moment = require('moment');
+const cardController = require('../src/controllers/card');
+const transactionController = require('../src/controllers/transaction');
+const cardExpiryReminder = require('../src/jobs/cardExpiryReminder');
+const smsService = require('../src/utils/smsService');
+const panCipher = require('../src/utils/panCipher');
+const fetchDB = require('../src/postgres');
+const {
+  PIN,
+  call,
+  bodyOf,
+  errorOf,
+  createCustomer,
+  createMerchant,
+  createService,
+  generatePan,
+  createCard,
+  createPayment,
+  getBalance,
+} = require('./helpers');
+
+describe('Card Controller', () => {
+  describe('primary card', () => {
+    let customer, headers;
+    const addCard = (name) =>
+      call(cardController.createCard, {
+        body: {
+          name,
+          owner_name: 'TEST OWNER',
+          pan: generatePan(),
+          expiry_month: 12,
+          expiry_year: 40,
+        },
+        headers,
+      });
+    const getCards = async () => bodyOf(await call(cardController.getCustomerCards, { headers }));
+
+    before(async () => {
+      customer = await createCustomer('998990000140');
+      headers = { authorization: customer.token };
+    });
+
+    it('should make the first card primary', async () => {
+      await addCard('First card');
+      await addCard('Second card');
+
+      const { cards } = await getCards();
+      expect(cards.map((card) => [card.name, card.is_primary])).to.deep.equal([
+        ['First card', true],
+        ['Second card', false],
+      ]);
+    });
+
+    it('should switch primary card', async () => {
+      const { cards } = await getCards();
+
+      const result = await call(cardController.updateCard, {
+        body: { id: cards[1].id, isPrimary: true },
+        headers,
+      });
+      expect(result.next.notCalled).to.be.true;
+
+      const updated = await getCards();
+      expect(updated.cards.map((card) => [card.name, card.is_primary])).to.deep.equal([
+        ['Second card', true],
+        ['First card', false],
+      ]);
+    });
+
+    it('should not make card of another customer primary', async () => {
+      const { cards } = await getCards();
+      const other = await createCustomer('998990000141');
+
+      const result = await call(cardController.updateCard, {
+        body: { id: cards[1].id, isPrimary: true },
+        headers: { authorization: other.token },
+      });
+      expect(errorOf(result)).to.have.property('name', 'CARD_NOT_FOUND');
+
+      const { cards: unchanged } = await getCards();
+      expect(unchanged[0].is_primary).to.be.true;
+    });
+
+    it('should make the oldest card primary when primary one is deleted', async () => {
+      await addCard('Third card');
+      const { cards } = await getCards();
+
+      const result = await call(cardController.deleteCard, { body: { id: cards[0].id }, headers });
+      expect(result.next.notCalled).to.be.true;
+
+      const updated = await getCards();
+      expect(updated.cards.map((card) => [card.name, card.is_primary])).to.deep.equal([
+        ['First card', true],
+        ['Third card', false],
+      ]);
+    });
+  });
+
+  describe('freeze', () => {
+    let customer, card, sender, senderCard, service, headers;
+    const pay = () =>
+      call(transactionController.payForService, {
+        body: {
+          serviceId: service.id,
+          fromCardId: card.id,
+          amount: 1000,
+          fields: { [service.fields.account]: '1' },
+          pin: PIN,
+        },
+        headers,
+      });
+    const receive = () =>
+      call(transactionController.transferMoney, {
+        body: { fromCardId: senderCard.id, toCardPan: card.pan, amount: 1000, pin: PIN },
+        headers: { authorization: sender.token },
+      });
+
+    before(async () => {
+      customer = await createCustomer('998990000150');
+      card = await createCard(customer.id);
+      headers = { authorization: customer.token };
+
+      sender = await createCustomer('998990000151');
+      senderCard = await createCard(sender.id);
+
+      const merchant = await createMerchant('freeze@test.com');
+      service = await createService(merchant.id);
+    });
+
+    it('should not pay from frozen card', async () => {
+      const result = await call(cardController.freezeCard, { body: { id: card.id }, headers });
+      expect(result.next.notCalled).to.be.true;
+
+      expect(errorOf(await pay())).to.have.property('name', 'CARD_FROZEN');
+    });
+
+    it('should still receive money to frozen card', async () => {
+      const balance = await getBalance(card.id);
+
+      const result = await receive();
+
+      expect(bodyOf(result)).to.have.property('transfer_id');
+      expect(await getBalance(card.id)).to.equal(balance + 1000);
+    });
+
+    it('should refuse incoming money when credits are frozen too', async () => {
+      await call(cardController.freezeCard, {
+        body: { id: card.id, freezeCredits: true },
+        headers,
+      });
+
+      expect(errorOf(await receive())).to.have.property('name', 'RECIPIENT_CARD_FROZEN');
+    });
+
+    it('should not freeze card of another customer', async () => {
+      const result = await call(cardController.freezeCard, {
+        body: { id: card.id },
+        headers: { authorization: sender.token },
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'CARD_NOT_FOUND');
+    });
+
+    it('should pay and receive again after unfreezing', async () => {
+      const result = await call(cardController.unfreezeCard, { body: { id: card.id }, headers });
+      expect(result.next.notCalled).to.be.true;
+
+      expect(bodyOf(await pay())).to.have.property('payment_id');
+      expect(bodyOf(await receive())).to.have.property('transfer_id');
+    });
+  });
+
+  describe('spending limits', () => {
+    let customer, card, service, headers;
+    const pay = (amount) =>
+      call(transactionController.payForService, {
+        body: {
+          serviceId: service.id,
+          fromCardId: card.id,
+          amount,
+          fields: { [service.fields.account]: '1' },
+          pin: PIN,
+        },
+        headers,
+      });
+    const setLimits = (limits) =>
+      call(cardController.updateCardLimits, { body: { id: card.id, ...limits }, headers });
+    const getLimits = async () =>
+      bodyOf(await call(cardController.getCardLimits, { params: { id: card.id }, headers }));
+
+    before(async () => {
+      customer = await createCustomer('998990000160');
+      card = await createCard(customer.id);
+      headers = { authorization: customer.token };
+
+      const merchant = await createMerchant('limits@test.com');
+      service = await createService(merchant.id, { categoryId: 2 });
+    });
+
+    it('should show platform defaults for card without limits', async () => {
+      const limits = await getLimits();
+
+      expect(limits).to.include({ daily_limit: 50000000, single_limit: 20000000, daily_spent: 0 });
+      expect(limits.categories).to.deep.equal([]);
+    });
+
+    it('should not pay more than single limit', async () => {
+      await setLimits({ singleLimit: 5000 });
+
+      expect(errorOf(await pay(6000))).to.have.property('name', 'SINGLE_LIMIT_EXCEEDED');
+      expect(bodyOf(await pay(5000))).to.have.property('payment_id');
+    });
+
+    it('should not pay more than daily limit in total', async () => {
+      await setLimits({ dailyLimit: 8000 });
+
+      expect(bodyOf(await pay(3000))).to.have.property('payment_id');
+      expect(errorOf(await pay(1000))).to.have.property('name', 'DAILY_LIMIT_EXCEEDED');
+
+      const limits = await getLimits();
+      expect(limits).to.include({ daily_spent: 8000, daily_remaining: 0 });
+    });
+
+    it('should not pay more than limit of the category', async () => {
+      await setLimits({ categories: [{ categoryId: 2, dailyLimit: 9000 }] });
+
+      expect(errorOf(await pay(2000))).to.have.property('name', 'CATEGORY_LIMIT_EXCEEDED');
+      expect(bodyOf(await pay(1000))).to.have.property('payment_id');
+
+      const { categories } = await getLimits();
+      expect(categories[0]).to.include({
+        daily_limit: 9000,
+        daily_spent: 9000,
+        daily_remaining: 0,
+      });
+    });
+
+    it('should lower limits above platform defaults to them', async () => {
+      await setLimits({ dailyLimit: 90000000, singleLimit: 30000000 });
+
+      const limits = await getLimits();
+      expect(limits).to.include({ daily_limit: 50000000, single_limit: 20000000 });
+    });
+
+    describe('of customer', () => {
+      let other;
+
+      const setDefault = (name, amount) =>
+        fetchDB('update default_spending_limit set amount = $2 where name = $1', [name, amount]);
+
+      before(async () => {
+        other = await createCard(customer.id);
+        await setLimits({});
+      });
+
+      after(async () => {
+        await setDefault('customer_daily', 100000000);
+        await setDefault('customer_monthly', 1000000000);
+      });
+
+      it('should not spend more than daily limit of customer from all cards', async () => {
+        const spent = (await getLimits()).customer.daily_spent;
+        await setDefault('customer_daily', spent + 5000);
+
+        expect(bodyOf(await pay(3000))).to.have.property('payment_id');
+        const result = await call(transactionController.payForService, {
+          body: {
+            serviceId: service.id,
+            fromCardId: other.id,
+            amount: 3000,
+            fields: { [service.fields.account]: '1' },
+            pin: PIN,
+          },
+          headers,
+        });
+        expect(errorOf(result)).to.have.property('name', 'CUSTOMER_DAILY_LIMIT_EXCEEDED');
+
+        const { customer } = await getLimits();
+        expect(customer).to.include({ daily_spent: spent + 3000, daily_remaining: 2000 });
+      });
+
+      it('should not spend more than monthly limit of customer', async () => {
+        await setDefault('customer_daily', 100000000);
+        const spent = (await getLimits()).customer.monthly_spent;
+        await setDefault('customer_monthly', spent + 1000);
+
+        const result = await pay(2000);
+        expect(errorOf(result)).to.have.property('name', 'CUSTOMER_MONTHLY_LIMIT_EXCEEDED');
+
+        const { customer } = await getLimits();
+        expect(customer).to.include({ monthly_spent: spent, monthly_remaining: 1000 });
+      });
+    });
+
+    it('should not spend more than balance with parallel transfers between own cards', async () => {
+      const from = await createCard(customer.id, { balance: 1000 });
+      const to = await createCard(customer.id, { balance: 0 });
+      const transfer = () =>
+        call(transactionController.transferMoneyToSelf, {
+          body: { fromCardId: from.id, toCardId: to.id, amount: 700, pin: PIN },
+          headers,
+        });
+
+      const results = await Promise.all([transfer(), transfer()]);
+
+      const errors = results.map(errorOf).filter(Boolean);
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.have.property('name', 'INSUFFICIENT_FUNDS');
+      expect(await getBalance(from.id)).to.equal(300);
+      expect(await getBalance(to.id)).to.equal(700);
+    });
+  });
+
+  describe('removal', () => {
+    let customer, card, paymentId, headers;
+    const getTransactions = async () => {
+      const today = moment().format('DD/MM/YYYY');
+      const result = await call(transactionController.getTransactions, {
+        body: { offset: 0, fromDate: today, toDate: today },
+        headers,
+      });
+
+      return bodyOf(result).transactions;
+    };
+
+    before(async () => {
+      customer = await createCustomer('998990000170');
+      card = await createCard(customer.id);
+      headers = { authorization: customer.token };
+
+      const merchant = await createMerchant('removal@test.com');
+      const service = await createService(merchant.id);
+      paymentId = await createPayment(customer.id, card.id, service, 1000);
+    });
+
+    it('should keep transactions of removed card in history', async () => {
+      const result = await call(cardController.deleteCard, { body: { id: card.id }, headers });
+      expect(result.next.notCalled).to.be.true;
+
+      const transactions = await getTransactions();
+      const payment = transactions.find((transaction) => transaction.id === paymentId);
+
+      expect(payment.sender).to.include({ name: 'Test Card' });
+      expect(payment.sender.pan).to.equal(`${card.pan.slice(0, 6)}******${card.pan.slice(-4)}`);
+
+      const one = await call(transactionController.getOneTransaction, {
+        params: { transactionId: paymentId, type: 'payment' },
+        headers,
+      });
+      expect(bodyOf(one)).to.have.property('amount', 1000);
+    });
+
+    it('should not list removed card', async () => {
+      const { count } = bodyOf(await call(cardController.getCustomerCards, { headers }));
+
+      expect(count).to.equal(0);
+    });
+
+    it('should let removed card be added again', async () => {
+      const result = await call(cardController.createCard, {
+        body: {
+          name: 'Readded card',
+          owner_name: 'TEST OWNER',
+          pan: card.pan,
+          expiry_month: 12,
+          expiry_year: 40,
+        },
+        headers,
+      });
+      expect(result.next.notCalled).to.be.true;
+
+      const { cards } = bodyOf(await call(cardController.getCustomerCards, { headers }));
+      expect(cards.map((added) => added.name)).to.deep.equal(['Readded card']);
+    });
+  });
+
+  describe('card number protection', () => {
+    let customer, headers;
+    const pan = generatePan();
+
+    before(async () => {
+      customer = await createCustomer('998990000180');
+      headers = { authorization: customer.token };
+
+      await call(cardController.createCard, {
+        body: { name: 'Secret', owner_name: 'TEST OWNER', pan, expiry_month: 12, expiry_year: 40 },
+        headers,
+      });
+    });
+
+    it('should store card number only encrypted', async () => {
+      const { rows } = await fetchDB('select * from customer_card where customer_id = $1', [
+        customer.id,
+      ]);
+
+      expect(JSON.stringify(rows[0])).to.not.include(pan);
+      expect(panCipher.decrypt(rows[0].pan_encrypted)).to.equal(pan);
+      expect(rows[0].pan_hash).to.equal(panCipher.hash(pan));
+    });
+
+    it('should give only masked card number', async () => {
+      const { cards } = bodyOf(await call(cardController.getCustomerCards, { headers }));
+
+      expect(cards[0].pan).to.equal(panCipher.mask(pan));
+      expect(cards[0]).to.not.have.property('pan_encrypted');
+      expect(cards[0]).to.not.have.property('pan_hash');
+    });
+
+    it('should find owner by card number', async () => {
+      const result = await call(cardController.getOnwerByPan, { body: { pan } });
+
+      expect(bodyOf(result).owner).to.have.property('name', 'Test Customer');
+    });
+
+    it('should not add card of another customer', async () => {
+      const other = await createCustomer('998990000181');
+
+      const result = await call(cardController.createCard, {
+        body: { name: 'Stolen', owner_name: 'TEST OWNER', pan, expiry_month: 12, expiry_year: 40 },
+        headers: { authorization: other.token },
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'CARD_BELONGS_TO_ANOTHER');
+    });
+  });
+
+  describe('network detection', () => {
+    let headers;
+    const addCard = (pan) =>
+      call(cardController.createCard, {
+        body: { name: 'Branded', owner_name: 'TEST OWNER', pan, expiry_month: 12, expiry_year: 40 },
+        headers,
+      });
+
+    before(async () => {
+      const customer = await createCustomer('998990000190');
+      headers = { authorization: customer.token };
+    });
+
+    it('should detect network of the card by its first digits', async () => {
+      for (const prefix of ['8600', '9860', '4', '53', '2221']) {
+        const result = await addCard(generatePan(prefix));
+        expect(result.next.notCalled).to.be.true;
+      }
+
+      const { cards } = bodyOf(await call(cardController.getCustomerCards, { headers }));
+      expect(cards.map((card) => card.network)).to.deep.equal([
+        'uzcard',
+        'humo',
+        'visa',
+        'mastercard',
+        'mastercard',
+      ]);
+
+      const card = await call(cardController.getOneById, { params: { id: cards[1].id }, headers });
+      expect(bodyOf(card)).to.have.property('network', 'humo');
+    });
+
+    it('should detect bank of the card by the longest known prefix', async () => {
+      await addCard(generatePan('860049'));
+      await addCard(generatePan('98601850'));
+
+      const { cards } = bodyOf(await call(cardController.getCustomerCards, { headers }));
+      const [kapital, humo] = cards.slice(-2);
+      expect(kapital).to.include({ network: 'uzcard', bank: 'Kapitalbank' });
+      expect(humo).to.include({ network: 'humo', bank: 'Kapitalbank' });
+      expect(cards[2]).to.include({ network: 'visa', bank: null });
+
+      const card = await call(cardController.getOneById, { params: { id: kapital.id }, headers });
+      expect(bodyOf(card)).to.have.property('bank', 'Kapitalbank');
+    });
+
+    it('should not add card of unsupported network', async () => {
+      const result = await addCard(generatePan('6011'));
+
+      expect(errorOf(result)).to.have.property('name', 'CARD_NETWORK_NOT_SUPPORTED');
+    });
+  });
+
+  describe('expiry', () => {
+    let customer, card, sender, senderCard, service, headers;
+    const expiry = moment().subtract(1, 'month');
+    const pay = () =>
+      call(transactionController.payForService, {
+        body: {
+          serviceId: service.id,
+          fromCardId: card.id,
+          amount: 1000,
+          fields: { [service.fields.account]: '1' },
+          pin: PIN,
+        },
+        headers,
+      });
+
+    before(async () => {
+      customer = await createCustomer('998990000300');
+      card = await createCard(customer.id, { expiry });
+      headers = { authorization: customer.token };
+
+      sender = await createCustomer('998990000301');
+      senderCard = await createCard(sender.id);
+
+      const merchant = await createMerchant('expiry@test.com');
+      service = await createService(merchant.id);
+    });
+
+    it('should not pay from expired card', async () => {
+      expect(errorOf(await pay())).to.have.property('name', 'CARD_EXPIRED');
+    });
+
+    it('should not transfer to expired card', async () => {
+      const result = await call(transactionController.transferMoney, {
+        body: { fromCardId: senderCard.id, toCardPan: card.pan, amount: 1000, pin: PIN },
+        headers: { authorization: sender.token },
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'RECIPIENT_CARD_EXPIRED');
+    });
+
+    it('should not update expiry of card with another number', async () => {
+      const result = await call(cardController.updateCardExpiry, {
+        body: { id: card.id, pan: generatePan(), expiry_month: 12, expiry_year: 40 },
+        headers,
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'CARD_NOT_FOUND');
+    });
+
+    it('should pay again after expiry is updated', async () => {
+      const result = await call(cardController.updateCardExpiry, {
+        body: { id: card.id, pan: card.pan, expiry_month: 12, expiry_year: 40 },
+        headers,
+      });
+      expect(result.next.notCalled).to.be.true;
+
+      expect(bodyOf(await pay())).to.have.property('payment_id');
+    });
+  });
+
+  describe('expiry reminders', () => {
+    let customer, sendCardExpiryReminder;
+    const remindersTo = (phone) =>
+      sendCardExpiryReminder.args.filter((args) => `${args[0]}` === phone);
+    const sendReminders = () =>
+      new Promise((resolve) => cardExpiryReminder.sendExpiryReminders(resolve));
+
+    before(async () => {
+      customer = await createCustomer('998990000310');
+      // card expires at the end of its expiry month
+      await createCard(customer.id, { expiry: moment() });
+    });
+
+    beforeEach(() => {
+      sendCardExpiryReminder = sinon.stub(smsService, 'sendCardExpiryReminder').resolves();
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('should remind about card expiring soon once', async () => {
+      await sendReminders();
+      await sendReminders();
+
+      expect(remindersTo(customer.phone)).to.have.length(1);
+    });
+  });
+});
@@ -4,10 +4,27 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const sinonChai = require('sinon-chai');
 const customerController = require('../src/controllers/customer');
+const transactionController = require('../src/controllers/transaction');
+const smsService = require('../src/utils/smsService');
 const { devicesQuery } = require('../src/postgres/queries');
 const fetchDB = require('../src/postgres');
 const { init: initDB, drop: dropDB } = require('../src/postgres/seeder');
 const redisClient = require('../src/redis');
+const {
+  PASSWORD,
+  saveOtp,
+  useragent,
+  call,
+  bodyOf,
+  errorOf,
+  createCustomer,
+  createSession,
+  createMerchant,
+  createService,
+  createCard,
+  createPayment,
+  getBalance,
+} = require('./helpers');
 
 chai.use(sinonChai);
 
@@ -28,22 +45,26 @@ describe('Customer Controller', () => {
   describe('register', () => {
     let req, res, next;
 
-    beforeEach(() => {
+    beforeEach(async () => {
       req = {
         body: {
           name: 'John Doe',
           phone: '998990000000',
           password: 'qwer1234',
+          otp: '123456',
         },
         headers: {
           'x-device-id': 'chrome-mac',
         },
+        useragent,
       };
       res = {
         status: sinon.stub().returnsThis(),
         json: sinon.spy(),
       };
       next = sinon.spy();
+
+      await saveOtp(req.headers['x-device-id'], { code: 123456, phone: req.body.phone });
     });
 
     it('should register a customer', async () => {
@@ -52,6 +73,7 @@ describe('Customer Controller', () => {
       expect(next.notCalled).to.be.true;
       expect(res.status.calledWith(201)).to.be.true;
       expect(res.json.calledWith(sinon.match.has('token'))).to.be.true;
+      expect(res.json.calledWith(sinon.match.has('refreshToken'))).to.be.true;
     });
 
     it('should throw validation error when invalid input', async () => {
@@ -69,6 +91,7 @@ describe('Customer Controller', () => {
 
     it('should not trust the device', async () => {
       req.body.phone = '998990000001';
+      await saveOtp(req.headers['x-device-id'], { code: 123456, phone: req.body.phone });
       await customerController.registerCustomer(req, res, next);
       const devices = await fetchDB(devicesQuery.getOneByUid, [
         req.headers['x-device-id'],
@@ -94,6 +117,7 @@ describe('Customer Controller', () => {
         headers: {
           'x-device-id': 'chrome-mac',
         },
+        useragent,
       };
       res = {
         status: sinon.stub().returnsThis(),
@@ -176,4 +200,308 @@ describe('Customer Controller', () => {
       expect(info.otp).to.equal('REQUIRED');
     });
   });
+
+  describe('refresh token', () => {
+    let req, res, next, refreshToken;
+
+    before(async () => {
+      const loginRes = { status: sinon.stub().returnsThis(), json: sinon.spy() };
+      await customerController.loginCustomer(
+        {
+          body: { phone: '998990000000', password: 'qwer1234' },
+          headers: { 'x-device-id': 'firefox-linux' },
+          useragent,
+        },
+        loginRes,
+        sinon.spy()
+      );
+
+      refreshToken = loginRes.json.args[0][0].refreshToken;
+    });
+
+    beforeEach(() => {
+      req = {
+        body: { refreshToken },
+        headers: {
+          'x-device-id': 'firefox-linux',
+        },
+        useragent,
+      };
+      res = {
+        status: sinon.stub().returnsThis(),
+        json: sinon.spy(),
+      };
+      next = sinon.spy();
+    });
+
+    it('should not refresh tokens from another device', async () => {
+      req.headers['x-device-id'] = 'chrome-mac';
+      await customerController.refreshCustomerToken(req, res, next);
+
+      expect(res.json.notCalled).to.be.true;
+      expect(next.calledWith(sinon.match.has('name', 'NOT_ALLOWED'))).to.be.true;
+    });
+
+    it('should issue new token pair', async () => {
+      await customerController.refreshCustomerToken(req, res, next);
+
+      expect(next.notCalled).to.be.true;
+      expect(res.status.calledWith(200)).to.be.true;
+      expect(res.json.calledWith(sinon.match.has('token'))).to.be.true;
+      expect(res.json.args[0][0].refreshToken).to.not.equal(refreshToken);
+    });
+
+    it('should end the session when rotated refresh token is reused', async () => {
+      await customerController.refreshCustomerToken(req, res, next);
+
+      expect(res.json.notCalled).to.be.true;
+      expect(next.calledWith(sinon.match.has('name', 'REFRESH_TOKEN_REUSED'))).to.be.true;
+    });
+  });
+
+  describe('logout', () => {
+    let customer;
+
+    before(async () => (customer = await createCustomer('998990000010')));
+
+    it('should end the session', async () => {
+      const headers = { authorization: customer.token };
+      const result = await call(customerController.logoutCustomer, { headers });
+      expect(result.next.notCalled).to.be.true;
+
+      const profile = await call(customerController.getCustomerProfile, { headers });
+      expect(errorOf(profile)).to.have.property('name', 'INVALID_TOKEN');
+
+      const refresh = await call(customerController.refreshCustomerToken, {
+        body: { refreshToken: customer.refreshToken },
+        headers: { 'x-device-id': customer.deviceId },
+      });
+      expect(errorOf(refresh)).to.have.property('name', 'INVALID_TOKEN');
+    });
+  });
+
+  describe('password reset', () => {
+    let customer, sendVerification;
+    const headers = { 'x-device-id': 'reset-device' };
+
+    before(async () => (customer = await createCustomer('998990000020')));
+
+    beforeEach(() => (sendVerification = sinon.stub(smsService, 'sendVerification').resolves()));
+
+    afterEach(() => sendVerification.restore());
+
+    it('should not send code to unknown phone', async () => {
+      const result = await call(customerController.requestPasswordReset, {
+        body: { phone: '998990000021' },
+        headers,
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'USER_NOT_FOUND');
+      expect(sendVerification).to.not.have.been.called;
+    });
+
+    it('should not reset password with wrong code', async () => {
+      await call(customerController.requestPasswordReset, {
+        body: { phone: customer.phone },
+        headers,
+      });
+      const code = sendVerification.args[0][1];
+
+      const result = await call(customerController.confirmPasswordReset, {
+        body: { phone: customer.phone, otp: String(code + 1), password: 'newpass1' },
+        headers,
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'WRONG_OTP');
+    });
+
+    it('should reset password and end all sessions', async () => {
+      await saveOtp('reset-device', {
+        code: 123456,
+        phone: customer.phone,
+        purpose: 'password_reset',
+      });
+
+      const result = await call(customerController.confirmPasswordReset, {
+        body: { phone: customer.phone, otp: '123456', password: 'newpass1' },
+        headers,
+      });
+      expect(result.next.notCalled).to.be.true;
+      expect(bodyOf(result)).to.have.property('success', true);
+
+      const profile = await call(customerController.getCustomerProfile, {
+        headers: { authorization: customer.token },
+      });
+      expect(errorOf(profile)).to.have.property('name', 'INVALID_TOKEN');
+
+      const login = await call(customerController.loginCustomer, {
+        body: { phone: customer.phone, password: PASSWORD },
+        headers: { 'x-device-id': 'reset-device' },
+      });
+      expect(errorOf(login)).to.have.property('name', 'WRONG_PASSWORD');
+
+      const newLogin = await call(customerController.loginCustomer, {
+        body: { phone: customer.phone, password: 'newpass1' },
+        headers: { 'x-device-id': 'reset-device' },
+      });
+      expect(bodyOf(newLogin)).to.have.property('token');
+    });
+
+    it('should not accept code for another purpose', async () => {
+      await saveOtp('reset-device', { code: 123456, phone: customer.phone });
+
+      const result = await call(customerController.confirmPasswordReset, {
+        body: { phone: customer.phone, otp: '123456', password: 'newpass2' },
+        headers,
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'WRONG_OTP');
+    });
+  });
+
+  describe('phone change', () => {
+    let customer, sendVerification;
+    const newPhone = '998990000031';
+
+    before(async () => (customer = await createCustomer('998990000030', { deviceId: 'phone' })));
+
+    beforeEach(() => (sendVerification = sinon.stub(smsService, 'sendVerification').resolves()));
+
+    afterEach(() => sendVerification.restore());
+
+    it('should not send code to taken number', async () => {
+      const result = await call(customerController.sendCodeToNewPhone, {
+        body: { phone: '998990000020' },
+        headers: { authorization: customer.token, 'x-device-id': 'phone' },
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'NUMBER_TAKEN');
+    });
+
+    it('should require password on untrusted device', async () => {
+      const headers = { authorization: customer.token, 'x-device-id': 'phone' };
+
+      const sent = await call(customerController.sendCodeToNewPhone, {
+        body: { phone: newPhone },
+        headers,
+      });
+      expect(bodyOf(sent)).to.include({ password: true, currentOtp: false });
+      expect(sendVerification.calledOnce).to.be.true;
+
+      const code = sendVerification.args[0][1];
+      const result = await call(customerController.updateCustomerPhone, {
+        body: { phone: newPhone, otp: String(code), password: 'wrongpass' },
+        headers,
+      });
+      expect(errorOf(result)).to.have.property('name', 'WRONG_PASSWORD');
+    });
+
+    it('should change phone with code sent to current number on trusted device', async () => {
+      await fetchDB(devicesQuery.create, [customer.id, 'phone', 'Phone']);
+      const other = await createSession(customer.id, 'customer', 'tablet');
+      const headers = { authorization: customer.token, 'x-device-id': 'phone' };
+
+      const sent = await call(customerController.sendCodeToNewPhone, {
+        body: { phone: newPhone },
+        headers,
+      });
+      expect(bodyOf(sent)).to.include({ password: false, currentOtp: true });
+
+      const codeSentTo = (phone) => sendVerification.args.find((args) => `${args[0]}` === phone)[1];
+      const code = codeSentTo(newPhone);
+      const currentCode = codeSentTo(customer.phone);
+
+      const result = await call(customerController.updateCustomerPhone, {
+        body: { phone: newPhone, otp: String(code), currentOtp: String(currentCode) },
+        headers,
+      });
+      expect(result.next.notCalled).to.be.true;
+
+      const { rows } = await fetchDB('select phone from customer where id = $1', [customer.id]);
+      expect(String(rows[0].phone)).to.equal(newPhone);
+
+      const current = await call(customerController.getCustomerProfile, { headers });
+      expect(current.next.notCalled).to.be.true;
+
+      const ended = await call(customerController.getCustomerProfile, {
+        headers: { authorization: other.token },
+      });
+      expect(errorOf(ended)).to.have.property('name', 'INVALID_TOKEN');
+    });
+  });
+
+  describe('account closure', () => {
+    let customer, card, merchant, paymentId, sendVerification;
+
+    before(async () => {
+      customer = await createCustomer('998990000040', { deviceId: 'closing' });
+      card = await createCard(customer.id, { isPrimary: true });
+      merchant = await createMerchant('closure@test.com');
+
+      const service = await createService(merchant.id);
+      paymentId = await createPayment(customer.id, card.id, service, 5000);
+    });
+
+    beforeEach(() => (sendVerification = sinon.stub(smsService, 'sendVerification').resolves()));
+
+    afterEach(() => sendVerification.restore());
+
+    it('should not close account with wrong code', async () => {
+      const headers = { authorization: customer.token, 'x-device-id': 'closing' };
+      await call(customerController.sendCodeToCloseAccount, { headers });
+      const code = sendVerification.args[0][1];
+
+      const result = await call(customerController.closeCustomerAccount, {
+        body: { otp: String(code + 1) },
+        headers,
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'WRONG_OTP');
+    });
+
+    it('should anonymise customer and end sessions', async () => {
+      const headers = { authorization: customer.token, 'x-device-id': 'closing' };
+      await saveOtp('closing', {
+        code: 123456,
+        customerId: customer.id,
+        purpose: 'account_closure',
+      });
+
+      const result = await call(customerController.closeCustomerAccount, {
+        body: { otp: '123456' },
+        headers,
+      });
+      expect(result.next.notCalled).to.be.true;
+
+      const { rows } = await fetchDB('select phone, deleted_at from customer where id = $1', [
+        customer.id,
+      ]);
+      expect(rows[0].phone).to.be.null;
+      expect(rows[0].deleted_at).to.not.be.null;
+
+      const profile = await call(customerController.getCustomerProfile, { headers });
+      expect(errorOf(profile)).to.have.property('name', 'INVALID_TOKEN');
+    });
+
+    it('should unlink cards without removing them', async () => {
+      const { rows } = await fetchDB(
+        'select deleted, is_primary from customer_card where id = $1',
+        [card.id]
+      );
+
+      expect(rows[0]).to.deep.equal({ deleted: true, is_primary: false });
+    });
+
+    it('should refund payment to card of closed account', async () => {
+      const balance = await getBalance(card.id);
+
+      const result = await call(transactionController.refundPayment, {
+        body: { paymentId },
+        headers: { authorization: merchant.token },
+      });
+      expect(result.next.notCalled).to.be.true;
+
+      expect(await getBalance(card.id)).to.equal(balance + 5000);
+    });
+  });
 });
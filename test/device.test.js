@@ -0,0 +1,77 @@
+const { expect } = require('chai');
+const deviceController = require('../src/controllers/device');
+const customerController = require('../src/controllers/customer');
+const { devicesQuery } = require('../src/postgres/queries');
+const fetchDB = require('../src/postgres');
+const { call, bodyOf, errorOf, createSession, createCustomer } = require('./helpers');
+
+describe('Device Controller', () => {
+  describe('sessions', () => {
+    let laptop, mobile, headers;
+
+    before(async () => {
+      laptop = await createCustomer('998990000200', { deviceId: 'laptop' });
+      mobile = await createSession(laptop.id, 'customer', 'mobile');
+
+      headers = { authorization: laptop.token, 'x-device-id': 'laptop' };
+    });
+
+    it('should list sessions of the customer with the current one marked', async () => {
+      const result = await call(deviceController.getAllSessions, { headers });
+
+      expect(result.next.notCalled).to.be.true;
+      const { count, rows } = bodyOf(result);
+      expect(count).to.equal(2);
+      expect(rows.filter((session) => session.current)).to.have.length(1);
+    });
+
+    it('should not end other sessions from untrusted device', async () => {
+      const result = await call(deviceController.endOtherSessions, { headers });
+
+      expect(errorOf(result)).to.have.property('name', 'ALLOWED_FOR_TRUSTED');
+    });
+
+    it('should end other sessions and keep the current one', async () => {
+      await fetchDB(devicesQuery.create, [laptop.id, 'laptop', 'Laptop']);
+
+      const result = await call(deviceController.endOtherSessions, { headers });
+      expect(result.next.notCalled).to.be.true;
+
+      const other = await call(customerController.getCustomerProfile, {
+        headers: { authorization: mobile.token },
+      });
+      expect(errorOf(other)).to.have.property('name', 'INVALID_TOKEN');
+
+      const current = await call(customerController.getCustomerProfile, { headers });
+      expect(current.next.notCalled).to.be.true;
+    });
+
+    it('should not refresh ended session', async () => {
+      const result = await call(customerController.refreshCustomerToken, {
+        body: { refreshToken: mobile.refreshToken },
+        headers: { 'x-device-id': 'mobile' },
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'INVALID_TOKEN');
+    });
+
+    it('should end sessions of untrusted device', async () => {
+      mobile = await createSession(laptop.id, 'customer', 'mobile');
+      const { rows } = await fetchDB(
+        'insert into customer_device(customer_id, device_id, name) values($1, $2, $3) returning id',
+        [laptop.id, 'mobile', 'Mobile']
+      );
+
+      const result = await call(deviceController.untrustDevice, {
+        body: { deviceId: rows[0].id },
+        headers,
+      });
+      expect(result.next.notCalled).to.be.true;
+
+      const other = await call(customerController.getCustomerProfile, {
+        headers: { authorization: mobile.token },
+      });
+      expect(errorOf(other)).to.have.property('name', 'INVALID_TOKEN');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { expect } = require('chai');
+const { Pool } = require('pg');
+const { POSTGRES_URL } = require('../src/config/secrets');
+const panCipher = require('../src/utils/panCipher');
+const { generatePan } = require('./helpers');
+
+const MIGRATION = path.join(__dirname, '..', 'src', 'postgres', 'migrations', 'encryptPans.js');
+
+describe('Card numbers encryption migration', () => {
+  const url = new URL(POSTGRES_URL);
+  url.pathname = '/atto_plain_pans';
+  const server = new Pool({ connectionString: POSTGRES_URL });
+  let db, pans;
+
+  const migrate = () =>
+    new Promise((resolve, reject) => {
+      const env = { ...process.env, POSTGRES_URL: url.toString() };
+      execFile(process.execPath, [MIGRATION], { env }, (err, stdout, stderr) =>
+        err ? reject(err) : resolve(stdout + stderr)
+      );
+    });
+
+  before(async () => {
+    await server.query(`drop database if exists ${url.pathname.slice(1)}`);
+    await server.query(`create database ${url.pathname.slice(1)}`);
+
+    db = new Pool({ connectionString: url.toString() });
+    await db.query(fs.readFileSync(path.join(__dirname, 'fixtures', 'plainPans.sql'), 'utf8'));
+
+    pans = [generatePan('8600'), generatePan('9860')];
+    const { rows } = await db.query(`
+insert into customer(name, phone, hashed_password) values('Old', '998990000460', 'hash')
+returning id`);
+    for (const pan of pans) {
+      await db.query(
+        `
+insert into customer_card(customer_id, name, owner_name, pan, expiry_month, expiry_year)
+values($1, 'Old card', 'OLD OWNER', $2, '12', '40')`,
+        [rows[0].id, pan]
+      );
+    }
+    await db.query(
+      `
+insert into transfer(owner_id, type, amount, sender_id, receiver_pan, receiver_id)
+values($1, 'expense', 1000, $1, $2, $1)`,
+      [rows[0].id, pans[1]]
+    );
+  });
+
+  after(async () => {
+    await db.end();
+    await server.query(`drop database if exists ${url.pathname.slice(1)}`);
+    await server.end();
+  });
+
+  it('should encrypt card numbers of schema before them and bring it up to date', async () => {
+    const output = await migrate();
+    expect(output).to.include('Card numbers encrypted: 2');
+
+    const { rows: cards } = await db.query(`
+select id, customer_id, pan_encrypted, pan_hash, pan_masked, status, deleted from customer_card
+order by pan_masked`);
+    expect(cards.map((card) => panCipher.decrypt(card.pan_encrypted))).to.deep.equal(pans);
+    expect(cards[0]).to.include({
+      pan_hash: panCipher.hash(pans[0]),
+      pan_masked: panCipher.mask(pans[0]),
+      status: 'active',
+      deleted: false,
+    });
+
+    const { rows: transfers } = await db.query('select receiver_pan from transfer');
+    expect(transfers[0].receiver_pan).to.equal(panCipher.mask(pans[1]));
+
+    // procedures of create.sql work on migrated tables
+    const { rows: result } = await db.query(
+      'call transfer_money($1, $2, $3, $4, null, null, null, null)',
+      [cards[0].customer_id, cards[0].id, cards[1].pan_hash, 500]
+    );
+    expect(result[0]).to.include({ error_code: null });
+  });
+
+  it('should not migrate card numbers twice', async () => {
+    expect(await migrate()).to.include('Card numbers are already encrypted');
+  });
+});
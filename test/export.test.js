@@ -0,0 +1,110 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const moment = require('moment');
+const exportController = require('../src/controllers/export');
+const customerController = require('../src/controllers/customer');
+const dataExports = require('../src/jobs/dataExports');
+const fileStorageS3 = require('../src/utils/fileStorageS3');
+const redisClient = require('../src/redis');
+const { call, bodyOf, errorOf, saveOtp, createCustomer } = require('./helpers');
+
+// export is generated after response is sent
+async function waitForExport(headers) {
+  for (let i = 0; i < 50; i++) {
+    const details = bodyOf(await call(exportController.getDataExport, { headers }));
+    if (details.status !== 'pending') return details;
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe('Export Controller', () => {
+  let customer, headers, storage;
+
+  before(async () => {
+    customer = await createCustomer('998990000050', { deviceId: 'exporting' });
+    headers = { authorization: customer.token, 'x-device-id': 'exporting' };
+  });
+
+  beforeEach(() => {
+    storage = {
+      upload: sinon.stub(fileStorageS3, 'uploadPrivateFile').callsArgWith(3, null),
+      sign: sinon.stub(fileStorageS3, 'getSignedFileUrl').callsArgWith(2, null, 'https://link'),
+      delete: sinon.stub(fileStorageS3, 'delete').callsArgWith(1, null),
+    };
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('should not find export before it is requested', async () => {
+    const result = await call(exportController.getDataExport, { headers });
+
+    expect(errorOf(result)).to.have.property('name', 'EXPORT_NOT_FOUND');
+  });
+
+  it('should upload archive and give download link', async () => {
+    const result = await call(exportController.requestDataExport, { headers });
+    expect(bodyOf(result)).to.have.property('status', 'pending');
+
+    const details = await waitForExport(headers);
+    expect(details).to.include({ status: 'ready', url: 'https://link' });
+    expect(details).to.not.have.property('file');
+
+    const fileName = `exports/${customer.id}/${details.id}.zip`;
+    expect(storage.upload.calledWith(sinon.match.any, fileName)).to.be.true;
+    expect(await redisClient.hGet('data_export_files', fileName)).to.exist;
+  });
+
+  it('should delete previous archive when export is requested again', async () => {
+    const previous = await waitForExport(headers);
+
+    await call(exportController.requestDataExport, { headers });
+    await waitForExport(headers);
+
+    expect(storage.delete.calledWith(`exports/${customer.id}/${previous.id}.zip`)).to.be.true;
+  });
+
+  it('should delete only archives with expired links', async () => {
+    const expired = moment().subtract(1, 'minute').toISOString();
+    const active = moment().add(1, 'hour').toISOString();
+    await redisClient.hSet('data_export_files', 'exports/expired.zip', expired);
+    await redisClient.hSet('data_export_files', 'exports/active.zip', active);
+
+    await new Promise((resolve) => dataExports.cleanUpExports(resolve));
+
+    expect(storage.delete.calledWith('exports/expired.zip')).to.be.true;
+    expect(storage.delete.calledWith('exports/active.zip')).to.be.false;
+    expect(await redisClient.hGet('data_export_files', 'exports/expired.zip')).to.be.null;
+  });
+
+  it('should keep archive to retry when it is not deleted', async () => {
+    const expired = moment().subtract(1, 'minute').toISOString();
+    await redisClient.hSet('data_export_files', 'exports/failing.zip', expired);
+    storage.delete.callsArgWith(1, new Error('FILE_DELETE_ERROR'));
+    sinon.stub(console, 'error');
+
+    await new Promise((resolve) => dataExports.cleanUpExports(resolve));
+
+    expect(await redisClient.hGet('data_export_files', 'exports/failing.zip')).to.exist;
+    await redisClient.hDel('data_export_files', 'exports/failing.zip');
+  });
+
+  it('should delete archive when account is closed', async () => {
+    const { id } = await waitForExport(headers);
+    await saveOtp('exporting', {
+      code: 123456,
+      customerId: customer.id,
+      purpose: 'account_closure',
+    });
+
+    const result = await call(customerController.closeCustomerAccount, {
+      body: { otp: '123456' },
+      headers,
+    });
+    expect(result.next.notCalled).to.be.true;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(storage.delete.calledWith(`exports/${customer.id}/${id}.zip`)).to.be.true;
+    expect(await redisClient.get(`data_export:${customer.id}`)).to.be.null;
+  });
+});
@@ -0,0 +1,192 @@
+const sinon = require('sinon');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const moment = require('moment');
+const fetchDB = require('../../src/postgres');
+const redisClient = require('../../src/redis');
+const tokens = require('../../src/utils/tokens');
+const { transactionsQuery } = require('../../src/postgres/queries');
+const panCipher = require('../../src/utils/panCipher');
+
+const PASSWORD = 'qwer1234';
+const PIN = '1234';
+
+// as parsed by express-useragent
+const useragent = { browser: 'Chrome', version: '120.0', os: 'macOS', platform: 'Apple Mac' };
+
+// runs controller and resolves when it responds or passes an error to next
+function call(controller, req) {
+  return new Promise((resolve) => {
+    const res = {
+      status: sinon.stub().returnsThis(),
+      json: sinon.spy(() => resolve({ res, next })),
+    };
+    const next = sinon.spy(() => resolve({ res, next }));
+
+    controller(
+      {
+        body: {},
+        params: {},
+        query: {},
+        headers: {},
+        useragent,
+        acceptsLanguages: () => 'en',
+        ...req,
+      },
+      res,
+      next
+    );
+  });
+}
+
+// response body of the controller
+const bodyOf = ({ res }) => res.json.args[0] && res.json.args[0][0];
+
+// error passed to next by the controller
+const errorOf = ({ next }) => next.args[0] && next.args[0][0];
+
+// session as if the owner logged in on the device
+function createSession(id, role, deviceId) {
+  return new Promise((resolve, reject) => {
+    tokens.createSession({ id, role, deviceId, device: 'test' }, (err, auth) => {
+      if (err) return reject(err);
+      resolve(auth);
+    });
+  });
+}
+
+// customer with password, payment pin and session
+async function createCustomer(phone, { deviceId = 'test-device', pin = PIN } = {}) {
+  const hashedPassword = bcrypt.hashSync(PASSWORD, 4);
+  const hashedPin = pin ? bcrypt.hashSync(pin, 4) : null;
+
+  const { rows } = await fetchDB(
+    `insert into customer(name, phone, hashed_password, hashed_pin)
+values($1, $2, $3, $4) returning id`,
+    ['Test Customer', phone, hashedPassword, hashedPin]
+  );
+  const { id } = rows[0];
+  const auth = await createSession(id, 'customer', deviceId);
+
+  return { id, phone, deviceId, ...auth };
+}
+
+async function createMerchant(email, { deviceId = 'test-device', balance = 10000000 } = {}) {
+  const { rows } = await fetchDB(
+    `insert into merchant(name, email, hashed_password, balance)
+values($1, $2, $3, $4) returning id`,
+    ['Test Merchant', email, bcrypt.hashSync(PASSWORD, 4), balance]
+  );
+  const { id } = rows[0];
+  const auth = await createSession(id, 'merchant', deviceId);
+
+  return { id, email, deviceId, ...auth };
+}
+
+// active service with given fields, returns ids of the fields by their names
+async function createService(merchantId, { categoryId = 1, fields = ['account'] } = {}) {
+  const { rows } = await fetchDB(
+    `insert into service(merchant_id, category_id, name, is_active, public_key)
+values($1, $2, $3, true, $4) returning id, public_key`,
+    [merchantId, categoryId, 'Test Service', crypto.randomBytes(8).toString('hex')]
+  );
+  const service = { ...rows[0], fields: {} };
+
+  for (const [order, name] of fields.entries()) {
+    const field = await fetchDB(
+      `insert into service_field(service_id, name, type, order_num)
+values($1, $2, 'text', $3) returning id`,
+      [service.id, name, order]
+    );
+    service.fields[name] = field.rows[0].id;
+  }
+
+  return service;
+}
+
+// random card number passing luhn check
+function generatePan(prefix = '8600') {
+  let pan = prefix;
+  while (pan.length < 15) pan += crypto.randomInt(10);
+
+  // every second digit from the right is doubled, counting check digit as the first one
+  const sum = pan
+    .split('')
+    .reverse()
+    .map((digit, i) => (i % 2 === 0 ? (digit * 2 > 9 ? digit * 2 - 9 : digit * 2) : +digit))
+    .reduce((a, b) => a + b, 0);
+
+  return `${pan}${(10 - (sum % 10)) % 10}`;
+}
+
+// card of the customer, pan is random uzcard one unless given
+async function createCard(customerId, { pan, balance = 1000000, expiry, isPrimary = false } = {}) {
+  pan = pan || generatePan();
+  const expiryDate = expiry || moment().add(2, 'years');
+
+  const { rows } = await fetchDB(
+    `insert into customer_card(
+  customer_id, name, owner_name, pan_encrypted, pan_hash, pan_masked, expiry_month, expiry_year,
+  balance, is_primary, network
+)
+values($1, 'Test Card', 'TEST OWNER', $2, $3, $4, $5, $6, $7, $8, 'uzcard')
+returning id`,
+    [
+      customerId,
+      panCipher.encrypt(pan),
+      panCipher.hash(pan),
+      panCipher.mask(pan),
+      expiryDate.format('MM'),
+      expiryDate.format('YY'),
+      balance,
+      isPrimary,
+    ]
+  );
+
+  return { id: rows[0].id, pan };
+}
+
+// payment for the service as if it was confirmed by the customer, returns its id
+async function createPayment(customerId, cardId, service, amount) {
+  const fields = { [Object.values(service.fields)[0]]: '1' };
+
+  const { rows } = await fetchDB(transactionsQuery.payForService, [
+    customerId,
+    cardId,
+    service.id,
+    amount,
+    JSON.stringify(fields),
+  ]);
+  if (rows[0].error_code) throw new Error(rows[0].error_code);
+
+  return rows[0].payment_id;
+}
+
+async function getBalance(cardId) {
+  const { rows } = await fetchDB('select balance from customer_card where id = $1', [cardId]);
+  return Number(rows[0].balance);
+}
+
+// code as if it was sent by sms to the device
+function saveOtp(deviceId, details) {
+  const value = { exp: moment().add(2, 'minutes').valueOf(), tries: 0, ...details };
+  return redisClient.hSet('customer_otp', deviceId, JSON.stringify(value));
+}
+
+module.exports = {
+  PASSWORD,
+  PIN,
+  useragent,
+  call,
+  bodyOf,
+  errorOf,
+  createSession,
+  createCustomer,
+  createMerchant,
+  createService,
+  generatePan,
+  createCard,
+  createPayment,
+  getBalance,
+  saveOtp,
+};
@@ -0,0 +1,120 @@
+const { expect } = require('chai');
+const idempotency = require('../src/middleware/idempotency');
+const apiErrorHandler = require('../src/middleware/apiErrorHandler');
+const transactionController = require('../src/controllers/transaction');
+const {
+  PIN,
+  useragent,
+  createCustomer,
+  createMerchant,
+  createService,
+  createCard,
+  getBalance,
+} = require('./helpers');
+
+// runs request through idempotency middleware, controller and error handler like the router
+function request(controller, { body, headers }) {
+  return new Promise((resolve) => {
+    const req = {
+      method: 'POST',
+      baseUrl: '/api/transactions',
+      path: '/pay',
+      body,
+      params: {},
+      query: {},
+      headers,
+      useragent,
+      acceptsLanguages: () => 'en',
+    };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    const handleError = (err) => apiErrorHandler(err, req, res);
+
+    idempotency('customer')(req, res, (err) => {
+      if (err) return handleError(err);
+      controller(req, res, handleError);
+    });
+  });
+}
+
+describe('Idempotency Middleware', () => {
+  let customer, card, service, body;
+  const pay = (key, payload) =>
+    request(transactionController.payForService, {
+      body: payload || body,
+      headers: { authorization: customer.token, 'idempotency-key': key },
+    });
+
+  before(async () => {
+    customer = await createCustomer('998990000110');
+    card = await createCard(customer.id);
+
+    const merchant = await createMerchant('idempotency@test.com');
+    service = await createService(merchant.id);
+
+    body = {
+      serviceId: service.id,
+      fromCardId: card.id,
+      amount: 1000,
+      fields: { [service.fields.account]: '1' },
+      pin: PIN,
+    };
+  });
+
+  it('should replay response of repeated request without paying twice', async () => {
+    const balance = await getBalance(card.id);
+
+    const first = await pay('payment-1');
+    const second = await pay('payment-1');
+
+    expect(first.status).to.equal(200);
+    expect(second).to.deep.equal(first);
+    expect(await getBalance(card.id)).to.equal(balance - 1000);
+  });
+
+  it('should pay again with another key', async () => {
+    const balance = await getBalance(card.id);
+
+    const result = await pay('payment-2');
+
+    expect(result.body.payment_id).to.exist;
+    expect(await getBalance(card.id)).to.equal(balance - 1000);
+  });
+
+  it('should not reuse key for another request', async () => {
+    const result = await pay('payment-1', { ...body, amount: 2000 });
+
+    expect(result.status).to.equal(422);
+    expect(result.body).to.have.property('type', 'IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('should let failed request be retried with the same key', async () => {
+    const failed = await pay('payment-3', { ...body, pin: '0000' });
+    expect(failed.body).to.have.property('type', 'WRONG_PIN');
+
+    const result = await pay('payment-3');
+    expect(result.status).to.equal(200);
+  });
+
+  it('should not replay response to another customer', async () => {
+    const other = await createCustomer('998990000111');
+    const otherCard = await createCard(other.id);
+
+    const result = await request(transactionController.payForService, {
+      body: { ...body, fromCardId: otherCard.id },
+      headers: { authorization: other.token, 'idempotency-key': 'payment-1' },
+    });
+
+    expect(result.status).to.equal(200);
+    expect(await getBalance(otherCard.id)).to.equal(1000000 - 1000);
+  });
+});
@@ -0,0 +1,139 @@
+const { expect } = require('chai');
+const moment = require('moment');
+const fetchDB = require('../src/postgres');
+const invoiceController = require('../src/controllers/invoice');
+const { invoicesQuery } = require('../src/postgres/queries');
+const {
+  PIN,
+  call,
+  bodyOf,
+  errorOf,
+  createCustomer,
+  createMerchant,
+  createService,
+  createCard,
+  getBalance,
+} = require('./helpers');
+
+describe('Invoice Controller', () => {
+  describe('payment', () => {
+    let merchant, service, customer, card;
+
+    const create = async (body) => {
+      const result = await call(invoiceController.createInvoice, {
+        body: {
+          serviceId: service.id,
+          amount: 1000,
+          fields: { [service.fields.account]: 'merchant' },
+          dueDate: moment().add(1, 'day').format('YYYY-MM-DD'),
+          ...body,
+        },
+        headers: { authorization: merchant.token },
+      });
+      return bodyOf(result);
+    };
+
+    const pay = (payer, key, payerCard = card) =>
+      call(invoiceController.payInvoice, {
+        body: {
+          key,
+          fromCardId: payerCard.id,
+          fields: { [service.fields.account]: 'customer', [service.fields.period]: '2026-10' },
+          pin: PIN,
+        },
+        headers: { authorization: payer.token },
+      });
+
+    const getInvoice = async (id) => {
+      const result = await call(invoiceController.getMerchantInvoices, {
+        headers: { authorization: merchant.token },
+      });
+      return bodyOf(result).invoices.find((invoice) => invoice.id === id);
+    };
+
+    before(async () => {
+      merchant = await createMerchant('invoice@test.com');
+      service = await createService(merchant.id, { fields: ['account', 'period'] });
+
+      customer = await createCustomer('998990000440');
+      card = await createCard(customer.id, { balance: 100000 });
+    });
+
+    it('should pay invoice with prefilled values of the merchant', async () => {
+      const { id, public_key } = await create({ singleUse: true });
+
+      const result = await pay(customer, public_key);
+
+      expect(result.next.notCalled).to.be.true;
+      expect(await getBalance(card.id)).to.equal(99000);
+
+      const { rows } = await fetchDB('select fields from payment where id = $1', [
+        bodyOf(result).payment_id,
+      ]);
+      expect(rows[0].fields).to.deep.equal({
+        [service.fields.account]: 'merchant',
+        [service.fields.period]: '2026-10',
+      });
+      expect(await getInvoice(id)).to.include({ status: 'paid', payments_count: 1 });
+    });
+
+    it('should not pay single use invoice twice', async () => {
+      const { public_key } = await create({ singleUse: true });
+      await pay(customer, public_key);
+      const balance = await getBalance(card.id);
+
+      const result = await pay(customer, public_key);
+
+      expect(errorOf(result)).to.have.property('name', 'INVOICE_ALREADY_PAID');
+      expect(await getBalance(card.id)).to.equal(balance);
+    });
+
+    it('should pay single use invoice once when it is paid at the same time', async () => {
+      const { id } = await create({ singleUse: true });
+      const fields = JSON.stringify({ [service.fields.period]: '2026-10' });
+      const balance = await getBalance(card.id);
+
+      const results = await Promise.all([
+        fetchDB(invoicesQuery.pay, [id, customer.id, card.id, fields]),
+        fetchDB(invoicesQuery.pay, [id, customer.id, card.id, fields]),
+      ]);
+
+      const errors = results.map(({ rows }) => rows[0].error_code);
+      expect(errors).to.have.members([null, 'INVOICE_ALREADY_PAID']);
+      expect(await getBalance(card.id)).to.equal(balance - 1000);
+      expect(await getInvoice(id)).to.have.property('payments_count', 1);
+    });
+
+    it('should let reusable invoice be paid by many customers', async () => {
+      const { id, public_key } = await create();
+      const other = await createCustomer('998990000441');
+      const otherCard = await createCard(other.id);
+
+      await pay(customer, public_key);
+      const result = await pay(other, public_key, otherCard);
+
+      expect(result.next.notCalled).to.be.true;
+      expect(await getInvoice(id)).to.include({ status: 'pending', payments_count: 2 });
+    });
+
+    it('should not save payment of invoice when card has not enough money', async () => {
+      const { id, public_key } = await create();
+      const poorCard = await createCard(customer.id, { balance: 500 });
+
+      const result = await pay(customer, public_key, poorCard);
+
+      expect(errorOf(result)).to.have.property('name', 'INSUFFICIENT_FUNDS');
+      expect(await getInvoice(id)).to.have.property('payments_count', 0);
+    });
+
+    it('should not pay expired invoice', async () => {
+      const { id } = await create();
+      await fetchDB(`update invoice set due_date = current_date - 1 where id = $1`, [id]);
+      const fields = JSON.stringify({ [service.fields.period]: '2026-10' });
+
+      const { rows } = await fetchDB(invoicesQuery.pay, [id, customer.id, card.id, fields]);
+
+      expect(rows[0]).to.include({ error_code: 'INVOICE_EXPIRED', payment_id: null });
+    });
+  });
+});
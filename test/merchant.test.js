@@ -0,0 +1,293 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const bcrypt = require('bcrypt');
+const merchantController = require('../src/controllers/merchant');
+const totpController = require('../src/controllers/totp');
+const totp = require('../src/utils/totp');
+const emailer = require('../src/utils/emailer');
+const fetchDB = require('../src/postgres');
+const {
+  PASSWORD,
+  call,
+  bodyOf,
+  errorOf,
+  createSession,
+  createMerchant,
+} = require('./helpers');
+
+describe('Merchant Controller', () => {
+  describe('logout', () => {
+    let merchant, other;
+
+    beforeEach(async () => {
+      merchant = merchant || (await createMerchant('logout@test.com'));
+      merchant = { ...merchant, ...(await createSession(merchant.id, 'merchant', 'laptop')) };
+      other = await createSession(merchant.id, 'merchant', 'mobile');
+    });
+
+    it('should end the current session only', async () => {
+      const result = await call(merchantController.logoutMerchant, {
+        headers: { authorization: merchant.token },
+      });
+      expect(result.next.notCalled).to.be.true;
+
+      const current = await call(merchantController.getMerchantProfile, {
+        headers: { authorization: merchant.token },
+      });
+      expect(errorOf(current)).to.have.property('name', 'INVALID_TOKEN');
+
+      const second = await call(merchantController.getMerchantProfile, {
+        headers: { authorization: other.token },
+      });
+      expect(second.next.notCalled).to.be.true;
+    });
+
+    it('should end all sessions of the merchant', async () => {
+      const result = await call(merchantController.logoutMerchantEverywhere, {
+        headers: { authorization: merchant.token },
+      });
+      expect(result.next.notCalled).to.be.true;
+
+      for (const token of [merchant.token, other.token]) {
+        const profile = await call(merchantController.getMerchantProfile, {
+          headers: { authorization: token },
+        });
+        expect(errorOf(profile)).to.have.property('name', 'INVALID_TOKEN');
+      }
+    });
+
+    it('should not refresh token of ended session', async () => {
+      await call(merchantController.logoutMerchant, {
+        headers: { authorization: merchant.token },
+      });
+
+      const result = await call(merchantController.refreshMerchantToken, {
+        body: { refreshToken: merchant.refreshToken },
+        headers: { 'x-device-id': 'laptop' },
+      });
+      expect(errorOf(result)).to.have.property('name', 'INVALID_TOKEN');
+    });
+  });
+
+  describe('password reset', () => {
+    let merchant, sendPasswordReset;
+    const headers = { 'x-device-id': 'reset-device' };
+
+    before(async () => (merchant = await createMerchant('reset@test.com')));
+
+    beforeEach(() => (sendPasswordReset = sinon.stub(emailer, 'sendPasswordReset').resolves()));
+
+    afterEach(() => sendPasswordReset.restore());
+
+    it('should not send code to unknown email', async () => {
+      const result = await call(merchantController.requestPasswordReset, {
+        body: { email: 'unknown@test.com' },
+        headers,
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'USER_NOT_FOUND');
+      expect(sendPasswordReset.notCalled).to.be.true;
+    });
+
+    it('should send code to the email', async () => {
+      const result = await call(merchantController.requestPasswordReset, {
+        body: { email: 'Reset@Test.com' },
+        headers,
+      });
+
+      expect(bodyOf(result)).to.have.property('success', true);
+      expect(sendPasswordReset.calledWith('reset@test.com')).to.be.true;
+    });
+
+    it('should not reset password with wrong code', async () => {
+      await call(merchantController.requestPasswordReset, {
+        body: { email: merchant.email },
+        headers,
+      });
+      const code = sendPasswordReset.args[0][1];
+
+      const result = await call(merchantController.confirmPasswordReset, {
+        body: { email: merchant.email, otp: String(code + 1), password: 'newpass1' },
+        headers,
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'WRONG_OTP');
+    });
+
+    it('should reset password and end all sessions', async () => {
+      await call(merchantController.requestPasswordReset, {
+        body: { email: merchant.email },
+        headers,
+      });
+      const code = sendPasswordReset.args[0][1];
+
+      const result = await call(merchantController.confirmPasswordReset, {
+        body: { email: merchant.email, otp: String(code), password: 'newpass1' },
+        headers,
+      });
+      expect(result.next.notCalled).to.be.true;
+
+      const { rows } = await fetchDB('select hashed_password from merchant where id = $1', [
+        merchant.id,
+      ]);
+      expect(bcrypt.compareSync('newpass1', rows[0].hashed_password)).to.be.true;
+
+      const profile = await call(merchantController.getMerchantProfile, {
+        headers: { authorization: merchant.token },
+      });
+      expect(errorOf(profile)).to.have.property('name', 'INVALID_TOKEN');
+    });
+
+    it('should not accept the code twice', async () => {
+      // sending codes is limited per device
+      const headers = { 'x-device-id': 'another-device' };
+
+      await call(merchantController.requestPasswordReset, {
+        body: { email: merchant.email },
+        headers,
+      });
+      const code = sendPasswordReset.args[0][1];
+      const body = { email: merchant.email, otp: String(code), password: 'newpass2' };
+
+      await call(merchantController.confirmPasswordReset, { body, headers });
+      const result = await call(merchantController.confirmPasswordReset, { body, headers });
+
+      expect(errorOf(result)).to.have.property('name', 'WRONG_OTP');
+    });
+  });
+
+  describe('two-factor login', () => {
+    let merchant, headers, backupCodes, sendVerification;
+    const login = (deviceId, body) =>
+      call(merchantController.loginMerchant, {
+        body: { email: merchant.email, password: PASSWORD, ...body },
+        headers: { 'x-device-id': deviceId },
+      });
+
+    before(async () => {
+      merchant = await createMerchant('mfa@test.com');
+      headers = { authorization: merchant.token };
+    });
+
+    beforeEach(() => {
+      sendVerification = sinon.stub(emailer, 'sendVerification').resolves();
+      // authenticator app of the merchant shows this code
+      sinon.stub(totp, 'verify').callsFake((secret, code) => code === '123456');
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('should ask email code on new device', async () => {
+      const result = await call(merchantController.getMerchantLoginType, {
+        body: { email: merchant.email },
+        headers: { 'x-device-id': 'new-device' },
+      });
+
+      expect(bodyOf(result)).to.include({ password: true, otp: true, totp: false });
+      expect(sendVerification.calledOnce).to.be.true;
+    });
+
+    it('should trust device after login with email code', async () => {
+      await call(merchantController.getMerchantLoginType, {
+        body: { email: merchant.email },
+        headers: { 'x-device-id': 'trusted-device' },
+      });
+      const code = sendVerification.args[0][1];
+
+      const result = await login('trusted-device', { otp: String(code), trust: true });
+      expect(bodyOf(result)).to.have.property('token');
+
+      const again = await login('trusted-device', {});
+      expect(bodyOf(again)).to.have.property('token');
+    });
+
+    it('should not enable authenticator with wrong code', async () => {
+      await call(totpController.setupTotp, { headers });
+
+      const result = await call(totpController.enableTotp, { body: { code: '000000' }, headers });
+
+      expect(errorOf(result)).to.have.property('name', 'WRONG_OTP');
+    });
+
+    it('should enable authenticator and give backup codes', async () => {
+      const setup = await call(totpController.setupTotp, { headers });
+      expect(bodyOf(setup).uri).to.include(bodyOf(setup).secret);
+
+      const result = await call(totpController.enableTotp, { body: { code: '123456' }, headers });
+      backupCodes = bodyOf(result).backupCodes;
+
+      expect(backupCodes).to.have.length(10);
+    });
+
+    it('should ask authenticator code instead of email code', async () => {
+      const result = await call(merchantController.getMerchantLoginType, {
+        body: { email: merchant.email },
+        headers: { 'x-device-id': 'another-device' },
+      });
+
+      expect(bodyOf(result)).to.include({ otp: false, totp: true });
+      expect(sendVerification.notCalled).to.be.true;
+
+      const withoutCode = await login('another-device', {});
+      expect(errorOf(withoutCode)).to.have.property('name', 'VALIDATION_ERROR');
+
+      const withCode = await login('another-device', { totp: '123456' });
+      expect(bodyOf(withCode)).to.have.property('token');
+    });
+
+    it('should not ask authenticator code on trusted device', async () => {
+      const result = await login('trusted-device', {});
+
+      expect(bodyOf(result)).to.have.property('token');
+    });
+
+    it('should accept backup code only once', async () => {
+      const first = await login('backup-device', { totp: backupCodes[0] });
+      expect(bodyOf(first)).to.have.property('token');
+
+      const second = await login('backup-device', { totp: backupCodes[0] });
+      expect(errorOf(second)).to.have.property('name', 'WRONG_OTP');
+    });
+
+    it('should disable authenticator with password only', async () => {
+      const wrong = await call(totpController.disableTotp, {
+        body: { password: 'wrongpass' },
+        headers,
+      });
+      expect(errorOf(wrong)).to.have.property('name', 'WRONG_PASSWORD');
+
+      const result = await call(totpController.disableTotp, {
+        body: { password: PASSWORD },
+        headers,
+      });
+      expect(result.next.notCalled).to.be.true;
+
+      const loginType = await call(merchantController.getMerchantLoginType, {
+        body: { email: merchant.email },
+        headers: { 'x-device-id': 'last-device' },
+      });
+      expect(bodyOf(loginType)).to.include({ otp: true, totp: false });
+    });
+
+    it('should block disabling authenticator after wrong password is entered 3 times', async () => {
+      const other = await createMerchant('mfa-blocked@test.com');
+      await fetchDB(
+        `update merchant set totp_enabled = true, totp_secret = 'secret' where id = $1`,
+        [other.id]
+      );
+      const disable = (password) =>
+        call(totpController.disableTotp, {
+          body: { password },
+          headers: { authorization: other.token },
+        });
+
+      await disable('wrongpass');
+      await disable('wrongpass');
+      const third = await disable('wrongpass');
+      expect(errorOf(third)).to.have.property('name', 'TRY_AGAIN_AFTER');
+
+      const correct = await disable(PASSWORD);
+      expect(errorOf(correct)).to.have.property('name', 'TRY_AGAIN_AFTER');
+    });
+  });
+});
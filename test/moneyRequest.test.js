@@ -0,0 +1,207 @@
+const { expect } = require('chai');
+const fetchDB = require('../src/postgres');
+const moneyRequestController = require('../src/controllers/moneyRequest');
+const transactionController = require('../src/controllers/transaction');
+const { moneyRequestsQuery } = require('../src/postgres/queries');
+const {
+  PIN,
+  call,
+  bodyOf,
+  errorOf,
+  createCustomer,
+  createMerchant,
+  createService,
+  createCard,
+  createPayment,
+  getBalance,
+} = require('./helpers');
+
+describe('Money Request Controller', () => {
+  describe('payment', () => {
+    let requester, payer, requesterCard, payerCard;
+
+    const request = async (amount) => {
+      const result = await call(moneyRequestController.createMoneyRequest, {
+        body: { phone: payer.phone, amount },
+        headers: { authorization: requester.token },
+      });
+      return bodyOf(result).id;
+    };
+
+    const pay = (id) =>
+      call(moneyRequestController.payMoneyRequest, {
+        body: { id, fromCardId: payerCard.id, pin: PIN },
+        headers: { authorization: payer.token },
+      });
+
+    before(async () => {
+      requester = await createCustomer('998990000420');
+      payer = await createCustomer('998990000421');
+      requesterCard = await createCard(requester.id, { balance: 0, isPrimary: true });
+      payerCard = await createCard(payer.id, { balance: 100000 });
+    });
+
+    it('should transfer requested money to the card of requester', async () => {
+      const id = await request(1000);
+
+      const result = await pay(id);
+
+      expect(result.next.notCalled).to.be.true;
+      expect(bodyOf(result).transfer_id).to.be.a('string');
+      expect(await getBalance(requesterCard.id)).to.equal(1000);
+      expect(await getBalance(payerCard.id)).to.equal(99000);
+
+      const list = await call(moneyRequestController.getMoneyRequests, {
+        headers: { authorization: requester.token },
+      });
+      const paid = bodyOf(list).requests.find((row) => row.id === id);
+      expect(paid).to.include({ status: 'paid', transfer_id: bodyOf(result).transfer_id });
+    });
+
+    it('should not pay request twice', async () => {
+      const id = await request(1000);
+      await pay(id);
+      const balance = await getBalance(payerCard.id);
+
+      const result = await pay(id);
+
+      expect(errorOf(result)).to.have.property('name', 'MONEY_REQUEST_NOT_PENDING');
+      expect(await getBalance(payerCard.id)).to.equal(balance);
+    });
+
+    it('should transfer once when request is paid at the same time', async () => {
+      const id = await request(1000);
+      const balance = await getBalance(payerCard.id);
+
+      const results = await Promise.all([
+        fetchDB(moneyRequestsQuery.pay, [id, payer.id, payerCard.id]),
+        fetchDB(moneyRequestsQuery.pay, [id, payer.id, payerCard.id]),
+      ]);
+
+      const errors = results.map(({ rows }) => rows[0].error_code);
+      expect(errors).to.have.members([null, 'MONEY_REQUEST_NOT_PENDING']);
+      expect(await getBalance(payerCard.id)).to.equal(balance - 1000);
+    });
+
+    it('should not pay declined request', async () => {
+      const id = await request(1000);
+      await call(moneyRequestController.declineMoneyRequest, {
+        body: { id },
+        headers: { authorization: payer.token },
+      });
+
+      const { rows } = await fetchDB(moneyRequestsQuery.pay, [id, payer.id, payerCard.id]);
+
+      expect(rows[0]).to.include({ error_code: 'MONEY_REQUEST_NOT_PENDING', transfer_id: null });
+    });
+
+    it('should not pay expired request', async () => {
+      const id = await request(1000);
+      await fetchDB(
+        `update money_request set expires_at = now() - interval '1 minute' where id = $1`,
+        [id]
+      );
+      const balance = await getBalance(payerCard.id);
+
+      const result = await pay(id);
+
+      expect(errorOf(result)).to.have.property('name', 'MONEY_REQUEST_NOT_PENDING');
+      expect(await getBalance(payerCard.id)).to.equal(balance);
+    });
+
+    it('should not pay request of another customer', async () => {
+      const id = await request(1000);
+      const other = await createCustomer('998990000422');
+      const otherCard = await createCard(other.id);
+
+      const { rows } = await fetchDB(moneyRequestsQuery.pay, [id, other.id, otherCard.id]);
+
+      expect(rows[0]).to.have.property('error_code', 'MONEY_REQUEST_NOT_FOUND');
+    });
+  });
+
+  describe('bill split', () => {
+    let customer, friends, service;
+
+    const split = (paymentId, participants) =>
+      call(moneyRequestController.createBillSplit, {
+        body: { paymentId, participants },
+        headers: { authorization: customer.token },
+      });
+
+    const getSplit = async (paymentId) => {
+      const result = await call(transactionController.getOneTransaction, {
+        params: { transactionId: paymentId, type: 'payment' },
+        headers: { authorization: customer.token },
+      });
+      return bodyOf(result).split;
+    };
+
+    before(async () => {
+      customer = await createCustomer('998990000430');
+      await createCard(customer.id, { isPrimary: true });
+
+      friends = [];
+      for (const phone of ['998990000431', '998990000432']) {
+        const friend = await createCustomer(phone);
+        friend.card = await createCard(friend.id);
+        friends.push(friend);
+      }
+
+      const merchant = await createMerchant('split@test.com');
+      service = await createService(merchant.id);
+    });
+
+    it('should request equal shares and show split on the payment', async () => {
+      const card = await createCard(customer.id);
+      const paymentId = await createPayment(customer.id, card.id, service, 3000);
+
+      const result = await split(paymentId, friends.map(({ phone }) => ({ phone })));
+      expect(bodyOf(result)).to.have.property('split_id');
+
+      const { status, total, paid, requests } = await getSplit(paymentId);
+      expect({ status, total, paid }).to.deep.equal({ status: 'open', total: 2000, paid: 0 });
+      expect(requests.map((row) => row.amount)).to.deep.equal([1000, 1000]);
+    });
+
+    it('should count each share once when it is paid twice', async () => {
+      const card = await createCard(customer.id);
+      const paymentId = await createPayment(customer.id, card.id, service, 3000);
+      await split(paymentId, [{ phone: friends[0].phone, amount: 2000 }]);
+
+      const { requests } = await getSplit(paymentId);
+      const pay = () =>
+        call(moneyRequestController.payMoneyRequest, {
+          body: { id: requests[0].id, fromCardId: friends[0].card.id, pin: PIN },
+          headers: { authorization: friends[0].token },
+        });
+      const balance = await getBalance(friends[0].card.id);
+
+      const first = await pay();
+      const second = await pay();
+
+      expect(first.next.notCalled).to.be.true;
+      expect(errorOf(second)).to.have.property('name', 'MONEY_REQUEST_NOT_PENDING');
+      expect(await getBalance(friends[0].card.id)).to.equal(balance - 2000);
+
+      const { status, paid } = await getSplit(paymentId);
+      expect({ status, paid }).to.deep.equal({ status: 'completed', paid: 2000 });
+    });
+
+    it('should not split payment twice at the same time', async () => {
+      const card = await createCard(customer.id);
+      const paymentId = await createPayment(customer.id, card.id, service, 3000);
+      const participants = JSON.stringify([{ phone: friends[1].phone }]);
+      const params = [customer.id, paymentId, null, participants, 7];
+
+      const results = await Promise.all([
+        fetchDB(moneyRequestsQuery.createSplit, params),
+        fetchDB(moneyRequestsQuery.createSplit, params),
+      ]);
+
+      const errors = results.map(({ rows }) => rows[0].error_code);
+      expect(errors).to.have.members([null, 'PAYMENT_ALREADY_SPLIT']);
+      expect((await getSplit(paymentId)).requests).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const { expect } = require('chai');
+const moment = require('moment');
+const fetchDB = require('../src/postgres');
+const scheduledPaymentController = require('../src/controllers/scheduledPayment');
+const { scheduledPaymentsQuery } = require('../src/postgres/queries');
+const { runDuePayments } = require('../src/jobs/scheduledPayments');
+const {
+  PIN,
+  call,
+  bodyOf,
+  createCustomer,
+  createMerchant,
+  createService,
+  createCard,
+  getBalance,
+} = require('./helpers');
+
+describe('Scheduled Payment Controller', () => {
+  describe('runs', () => {
+    let customer, service;
+
+    const schedule = async (card, period) => {
+      const result = await call(scheduledPaymentController.createScheduledPayment, {
+        body: {
+          serviceId: service.id,
+          cardId: card.id,
+          amount: 1000,
+          fields: { [service.fields.account]: '1' },
+          period,
+          date: moment().add(1, 'day').format('YYYY-MM-DD'),
+          pin: PIN,
+        },
+        headers: { authorization: customer.token },
+      });
+      const { id } = bodyOf(result);
+
+      // due as if the date has come
+      await fetchDB(
+        `update scheduled_payment set next_run_at = now() - interval '1 minute' where id = $1`,
+        [id]
+      );
+      return id;
+    };
+
+    const getRuns = async (id) => {
+      const result = await call(scheduledPaymentController.getScheduledPaymentRuns, {
+        params: { id },
+        headers: { authorization: customer.token },
+      });
+      return bodyOf(result).runs;
+    };
+
+    const getSchedule = async (id) => {
+      const { rows } = await fetchDB(scheduledPaymentsQuery.getOneById, [id, customer.id]);
+      return rows[0];
+    };
+
+    const run = (id) =>
+      new Promise((resolve, reject) => {
+        runDuePayments((err) => (err ? reject(err) : resolve(getSchedule(id))));
+      });
+
+    before(async () => {
+      customer = await createCustomer('998990000400');
+
+      const merchant = await createMerchant('scheduled@test.com');
+      service = await createService(merchant.id);
+    });
+
+    it('should pay due payment and move it to the next date', async () => {
+      const card = await createCard(customer.id, { balance: 5000 });
+      const id = await schedule(card, 'daily');
+      const { next_run_at } = await getSchedule(id);
+
+      const paid = await run(id);
+
+      expect(await getBalance(card.id)).to.equal(4000);
+      expect(moment(paid.next_run_at).diff(next_run_at, 'days')).to.equal(1);
+      expect(paid.locked_until).to.be.null;
+
+      const runs = await getRuns(id);
+      expect(runs).to.have.length(1);
+      expect(runs[0]).to.include({ status: 'success', amount: 1000 });
+      expect(runs[0].payment_id).to.be.a('string');
+    });
+
+    it('should not pay again when paid payment is taken twice', async () => {
+      const card = await createCard(customer.id, { balance: 5000 });
+      const id = await schedule(card);
+
+      await Promise.all([
+        fetchDB(scheduledPaymentsQuery.run, [id, 3, 60]),
+        fetchDB(scheduledPaymentsQuery.run, [id, 3, 60]),
+      ]);
+      await fetchDB(scheduledPaymentsQuery.run, [id, 3, 60]);
+
+      expect(await getBalance(card.id)).to.equal(4000);
+      expect(await getRuns(id)).to.have.length(1);
+      expect(await getSchedule(id)).to.have.property('status', 'completed');
+    });
+
+    it('should retry payment later when card has not enough money', async () => {
+      const card = await createCard(customer.id, { balance: 500 });
+      const id = await schedule(card, 'monthly');
+
+      const retried = await run(id);
+
+      expect(await getBalance(card.id)).to.equal(500);
+      expect(retried.retries).to.equal(1);
+      expect(retried.retry_at).to.be.a('date');
+
+      const runs = await getRuns(id);
+      expect(runs).to.have.length(1);
+      expect(runs[0]).to.include({ status: 'retry', error_code: 'INSUFFICIENT_FUNDS' });
+      expect(runs[0].payment_id).to.be.null;
+    });
+  });
+});
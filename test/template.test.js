@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+const fetchDB = require('../src/postgres');
+const templateController = require('../src/controllers/template');
+const {
+  PIN,
+  call,
+  bodyOf,
+  errorOf,
+  createCustomer,
+  createMerchant,
+  createService,
+  createCard,
+  createPayment,
+  getBalance,
+} = require('./helpers');
+
+describe('Template Controller', () => {
+  describe('pay from template', () => {
+    let customer, card, service, headers;
+
+    const create = async (body) => {
+      const result = await call(templateController.createTemplate, {
+        body: { name: 'Home internet', ...body },
+        headers,
+      });
+      return bodyOf(result).id;
+    };
+
+    const pay = (body) =>
+      call(templateController.payFromTemplate, { body: { pin: PIN, ...body }, headers });
+
+    before(async () => {
+      customer = await createCustomer('998990000410');
+      card = await createCard(customer.id, { balance: 10000 });
+      headers = { authorization: customer.token };
+
+      const merchant = await createMerchant('template@test.com');
+      service = await createService(merchant.id);
+    });
+
+    it('should save template from past payment', async () => {
+      const paymentId = await createPayment(customer.id, card.id, service, 1500);
+
+      await create({ paymentId });
+
+      const result = await call(templateController.getTemplates, { headers });
+      const { count, templates } = bodyOf(result);
+      expect(count).to.equal(1);
+      expect(templates[0]).to.include({ amount: 1500, fields_changed: false });
+      expect(templates[0].card).to.have.property('id', card.id);
+      expect(templates[0].service).to.have.property('id', service.id);
+    });
+
+    it('should not save template of another customer payment', async () => {
+      const other = await createCustomer('998990000411');
+      const otherCard = await createCard(other.id);
+      const paymentId = await createPayment(other.id, otherCard.id, service, 1000);
+
+      const result = await call(templateController.createTemplate, {
+        body: { name: 'Not mine', paymentId },
+        headers,
+      });
+
+      expect(errorOf(result)).to.have.property('name', 'PAYMENT_NOT_FOUND');
+    });
+
+    it('should pay with saved details', async () => {
+      const id = await create({
+        serviceId: service.id,
+        cardId: card.id,
+        amount: 1000,
+        fields: { [service.fields.account]: '1' },
+      });
+      const balance = await getBalance(card.id);
+
+      const result = await pay({ id });
+
+      expect(result.next.notCalled).to.be.true;
+      expect(bodyOf(result).payment_id).to.be.a('string');
+      expect(await getBalance(card.id)).to.equal(balance - 1000);
+    });
+
+    it('should require amount when template has none', async () => {
+      const id = await create({
+        serviceId: service.id,
+        cardId: card.id,
+        fields: { [service.fields.account]: '1' },
+      });
+
+      const result = await pay({ id });
+
+      expect(errorOf(result)).to.have.property('name', 'VALIDATION_ERROR');
+    });
+
+    it('should delete template', async () => {
+      const id = await create({
+        serviceId: service.id,
+        cardId: card.id,
+        fields: { [service.fields.account]: '1' },
+      });
+
+      const result = await call(templateController.deleteTemplate, { body: { id }, headers });
+      expect(result.next.notCalled).to.be.true;
+
+      const again = await pay({ id, amount: 1000 });
+      expect(errorOf(again)).to.have.property('name', 'TEMPLATE_NOT_FOUND');
+    });
+
+    it('should not pay when fields of the service have changed', async () => {
+      const id = await create({
+        serviceId: service.id,
+        cardId: card.id,
+        amount: 1000,
+        fields: { [service.fields.account]: '1' },
+      });
+      await fetchDB(
+        `insert into service_field(service_id, name, type, order_num)
+values($1, 'region', 'text', 1)`,
+        [service.id]
+      );
+      const balance = await getBalance(card.id);
+
+      const result = await pay({ id });
+
+      expect(errorOf(result)).to.have.property('name', 'SERVICE_FIELDS_CHANGED');
+      expect(await getBalance(card.id)).to.equal(balance);
+    });
+  });
+});
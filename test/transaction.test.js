@@ -0,0 +1,311 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fetchDB = require('../src/postgres');
+const transactionController = require('../src/controllers/transaction');
+const { transactionsQuery } = require('../src/postgres/queries');
+const panCipher = require('../src/utils/panCipher');
+const smsService = require('../src/utils/smsService');
+const { TRANSACTION_OTP_THRESHOLD } = require('../src/config/secrets');
+const {
+  PIN,
+  call,
+  bodyOf,
+  errorOf,
+  createCustomer,
+  createMerchant,
+  createService,
+  createCard,
+  createPayment,
+  getBalance,
+} = require('./helpers');
+
+describe('Transaction Controller', () => {
+  describe('payment confirmation', () => {
+    let customer, card, service, sendVerification;
+    const pay = (payer, body) =>
+      call(transactionController.payForService, {
+        body: {
+          serviceId: service.id,
+          fromCardId: card.id,
+          amount: 1000,
+          fields: { [service.fields.account]: '1' },
+          ...body,
+        },
+        headers: { authorization: payer.token },
+      });
+
+    before(async () => {
+      customer = await createCustomer('998990000100');
+      card = await createCard(customer.id, { balance: TRANSACTION_OTP_THRESHOLD * 3 });
+
+      const merchant = await createMerchant('confirmation@test.com');
+      service = await createService(merchant.id);
+    });
+
+    beforeEach(() => (sendVerification = sinon.stub(smsService, 'sendVerification').resolves()));
+
+    afterEach(() => sinon.restore());
+
+    it('should require pin', async () => {
+      const result = await pay(customer, {});
+
+      expect(errorOf(result)).to.have.property('name', 'VALIDATION_ERROR');
+    });
+
+    it('should not pay before pin is set', async () => {
+      const withoutPin = await createCustomer('998990000101', { pin: null });
+
+      const result = await pay(withoutPin, { pin: PIN });
+
+      expect(errorOf(result)).to.have.property('name', 'PIN_NOT_SET');
+    });
+
+    it('should pay with correct pin', async () => {
+      const balance = await getBalance(card.id);
+
+      const result = await pay(customer, { pin: PIN });
+
+      expect(bodyOf(result)).to.have.property('payment_id');
+      expect(await getBalance(card.id)).to.equal(balance - 1000);
+    });
+
+    it('should block payments after wrong pin is entered 3 times', async () => {
+      expect(errorOf(await pay(customer, { pin: '0000' }))).to.have.property('name', 'WRONG_PIN');
+      expect(errorOf(await pay(customer, { pin: '0000' }))).to.have.property('name', 'WRONG_PIN');
+      expect(errorOf(await pay(customer, { pin: '0000' }))).to.have.property('name', 'PIN_BLOCKED');
+
+      const result = await pay(customer, { pin: PIN });
+      expect(errorOf(result)).to.have.property('name', 'PIN_BLOCKED');
+    });
+
+    it('should require sms code instead of pin above the threshold', async () => {
+      const result = await pay(customer, { amount: TRANSACTION_OTP_THRESHOLD + 1, pin: PIN });
+
+      expect(errorOf(result)).to.have.property('name', 'VALIDATION_ERROR');
+      expect(errorOf(result).info).to.have.property('otp', 'REQUIRED');
+    });
+
+    const sendCode = (body, deviceId = 'phone') =>
+      call(transactionController.sendCodeForTransaction, {
+        body: { fromCardId: card.id, recipient: service.id, ...body },
+        headers: { authorization: customer.token, 'x-device-id': deviceId },
+      });
+
+    it('should not accept sms code sent for another amount', async () => {
+      const amount = TRANSACTION_OTP_THRESHOLD + 1;
+      await sendCode({ amount: amount + 1 });
+      const code = sendVerification.args[0][1];
+
+      const result = await pay(customer, { amount, otp: String(code) });
+
+      expect(errorOf(result)).to.have.property('name', 'WRONG_OTP');
+    });
+
+    it('should not accept sms code sent for another recipient', async () => {
+      const amount = TRANSACTION_OTP_THRESHOLD + 1;
+      const other = await createService((await createMerchant('other-recipient@test.com')).id);
+      await sendCode({ amount, recipient: other.id }, 'laptop');
+      const code = sendVerification.args[0][1];
+
+      const result = await pay(customer, { amount, otp: String(code) });
+
+      expect(errorOf(result)).to.have.property('name', 'WRONG_OTP');
+    });
+
+    it('should accept sms code regardless of device it was requested from', async () => {
+      const amount = TRANSACTION_OTP_THRESHOLD + 1;
+      await sendCode({ amount }, 'tablet');
+      const code = sendVerification.args[0][1];
+
+      const result = await pay(customer, { amount, otp: String(code) });
+      expect(bodyOf(result)).to.have.property('payment_id');
+
+      const again = await pay(customer, { amount, otp: String(code) });
+      expect(errorOf(again)).to.have.property('name', 'WRONG_OTP');
+    });
+
+    it('should keep sms code when payment fails', async () => {
+      const amount = TRANSACTION_OTP_THRESHOLD + 1;
+      await sendCode({ amount }, 'watch');
+      const code = sendVerification.args[0][1];
+
+      const failed = await pay(customer, { amount, otp: String(code), fields: {} });
+      expect(errorOf(failed)).to.have.property('name', 'VALIDATION_ERROR');
+
+      const result = await pay(customer, { amount, otp: String(code) });
+      expect(bodyOf(result)).to.have.property('payment_id');
+    });
+
+    it('should block sms codes after wrong code is entered 3 times', async () => {
+      const amount = TRANSACTION_OTP_THRESHOLD + 1;
+      await sendCode({ amount }, 'desktop');
+      const code = sendVerification.args[0][1];
+      const wrong = String(code === 999999 ? 100000 : code + 1);
+      // a wrong code within the same millisecond already counts as too fast
+      const payWithWrongCode = async () => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        return errorOf(await pay(customer, { amount, otp: wrong })).name;
+      };
+
+      expect(await payWithWrongCode()).to.equal('WRONG_OTP');
+      expect(await payWithWrongCode()).to.equal('WRONG_OTP');
+      expect(await payWithWrongCode()).to.equal('TRY_AGAIN_AFTER');
+
+      const result = await pay(customer, { amount, otp: String(code) });
+      expect(errorOf(result)).to.have.property('name', 'TRY_AGAIN_AFTER');
+    });
+  });
+
+  describe('refund', () => {
+    let customer, card, merchant, paymentId;
+    const refund = (body, token = merchant.token) =>
+      call(transactionController.refundPayment, { body, headers: { authorization: token } });
+    const merchantBalance = async () => {
+      const { rows } = await fetchDB('select balance from merchant where id = $1', [merchant.id]);
+      return Number(rows[0].balance);
+    };
+
+    before(async () => {
+      customer = await createCustomer('998990000120');
+      card = await createCard(customer.id);
+      merchant = await createMerchant('refund@test.com');
+
+      const service = await createService(merchant.id);
+      paymentId = await createPayment(customer.id, card.id, service, 10000);
+    });
+
+    it('should not refund payment of another merchant', async () => {
+      const other = await createMerchant('other-refund@test.com');
+
+      const result = await refund({ paymentId }, other.token);
+
+      expect(errorOf(result)).to.have.property('name', 'PAYMENT_NOT_FOUND');
+    });
+
+    it('should refund part of payment back to the card', async () => {
+      const balance = await getBalance(card.id);
+      const merchantBefore = await merchantBalance();
+
+      const result = await refund({ paymentId, amount: 3000, reason: 'Damaged item' });
+      expect(bodyOf(result)).to.have.property('refund_id');
+
+      expect(await getBalance(card.id)).to.equal(balance + 3000);
+      expect(await merchantBalance()).to.equal(merchantBefore - 3000);
+
+      const transaction = await call(transactionController.getOneTransaction, {
+        params: { transactionId: bodyOf(result).refund_id, type: 'refund' },
+        headers: { authorization: customer.token },
+      });
+      expect(bodyOf(transaction)).to.include({ type: 'income', amount: 3000 });
+    });
+
+    it('should not refund more than is left of payment', async () => {
+      const result = await refund({ paymentId, amount: 7001 });
+
+      expect(errorOf(result)).to.have.property('name', 'REFUND_EXCEEDS_PAYMENT');
+    });
+
+    it('should refund the rest of payment when amount is not given', async () => {
+      const balance = await getBalance(card.id);
+
+      const result = await refund({ paymentId });
+      expect(result.next.notCalled).to.be.true;
+      expect(await getBalance(card.id)).to.equal(balance + 7000);
+
+      const again = await refund({ paymentId });
+      expect(errorOf(again)).to.have.property('name', 'REFUND_EXCEEDS_PAYMENT');
+    });
+
+    it('should not refund more than merchant has', async () => {
+      const poor = await createMerchant('poor@test.com');
+      const service = await createService(poor.id);
+      const payment = await createPayment(customer.id, card.id, service, 5000);
+      await fetchDB('update merchant set balance = 0 where id = $1', [poor.id]);
+
+      const result = await refund({ paymentId: payment }, poor.token);
+
+      expect(errorOf(result)).to.have.property('name', 'INSUFFICIENT_FUNDS');
+    });
+  });
+
+  describe('transfer by phone', () => {
+    let sender, senderCard, recipient, primary, other;
+    const transfer = (body) =>
+      call(transactionController.transferMoney, {
+        body: { fromCardId: senderCard.id, amount: 2000, pin: PIN, ...body },
+        headers: { authorization: sender.token },
+      });
+
+    before(async () => {
+      sender = await createCustomer('998990000130');
+      senderCard = await createCard(sender.id);
+
+      recipient = await createCustomer('998990000131');
+      other = await createCard(recipient.id);
+      primary = await createCard(recipient.id, { isPrimary: true });
+    });
+
+    it('should require card number or phone of recipient', async () => {
+      const result = await transfer({});
+
+      expect(errorOf(result)).to.have.property('name', 'VALIDATION_ERROR');
+      expect(errorOf(result).info).to.have.property('toCardPan', 'REQUIRED');
+    });
+
+    it('should transfer to primary card of recipient', async () => {
+      const balance = await getBalance(primary.id);
+
+      const result = await transfer({ toPhone: recipient.phone });
+      expect(bodyOf(result)).to.have.property('transfer_id');
+
+      expect(await getBalance(primary.id)).to.equal(balance + 2000);
+      expect(await getBalance(other.id)).to.equal(1000000);
+    });
+
+    it('should not transfer to unknown phone', async () => {
+      const result = await transfer({ toPhone: '998990000132' });
+
+      expect(errorOf(result)).to.have.property('name', 'USER_NOT_FOUND');
+    });
+
+    it('should not transfer to customer without cards', async () => {
+      const withoutCards = await createCustomer('998990000133');
+
+      const result = await transfer({ toPhone: withoutCards.phone });
+
+      expect(errorOf(result)).to.have.property('name', 'RECIPIENT_HAS_NO_CARD');
+    });
+  });
+
+  describe('transfers in opposite directions', () => {
+    it('should transfer between two cards both ways at the same time', async () => {
+      const first = await createCustomer('998990000450');
+      const second = await createCustomer('998990000451');
+      const firstCard = await createCard(first.id, { balance: 100000 });
+      const secondCard = await createCard(second.id, { balance: 100000 });
+
+      const transfers = [];
+      for (let i = 0; i < 10; i++) {
+        transfers.push(
+          fetchDB(transactionsQuery.transferMoney, [
+            first.id,
+            firstCard.id,
+            panCipher.hash(secondCard.pan),
+            100,
+          ]),
+          fetchDB(transactionsQuery.transferMoney, [
+            second.id,
+            secondCard.id,
+            panCipher.hash(firstCard.pan),
+            100,
+          ])
+        );
+      }
+      const results = await Promise.all(transfers);
+
+      expect(results.map(({ rows }) => rows[0].error_code)).to.deep.equal(Array(20).fill(null));
+      expect(await getBalance(firstCard.id)).to.equal(100000);
+      expect(await getBalance(secondCard.id)).to.equal(100000);
+    });
+  });
+});